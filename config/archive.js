@@ -0,0 +1,19 @@
+/**
+ * Project archive (ZIP import) limits
+ */
+const archiveConfig = {
+  // Maximum uploaded ZIP size in bytes
+  maxArchiveSize: parseInt(process.env.IMPORT_MAX_ARCHIVE_SIZE || '20971520', 10),
+  // Maximum number of files and folders created from one archive
+  maxEntries: parseInt(process.env.IMPORT_MAX_ENTRIES || process.env.MAX_FILES_PER_PROJECT || '1000', 10),
+  // Maximum uncompressed size of a single file in bytes
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '10485760', 10),
+  // Maximum total uncompressed size in bytes
+  maxTotalSize: parseInt(process.env.IMPORT_MAX_TOTAL_SIZE || '52428800', 10),
+  // Maximum folder nesting of an entry path
+  maxDepth: parseInt(process.env.IMPORT_MAX_DEPTH || '32', 10),
+  // Directories skipped wherever they appear in the archive
+  ignoredDirectories: ['node_modules', '.git']
+};
+
+module.exports = archiveConfig;
@@ -0,0 +1,22 @@
+/**
+ * Authentication configuration
+ * Access tokens are signed with JWT_SECRET; refresh tokens with
+ * REFRESH_TOKEN_SECRET (falling back to JWT_SECRET). Preview tokens, which only
+ * open one project's live preview, are signed with JWT_SECRET and last seconds.
+ */
+const authConfig = {
+  accessToken: {
+    secret: process.env.JWT_SECRET,
+    expiresIn: process.env.JWT_EXPIRE || process.env.JWT_EXPIRES_IN || '24h'
+  },
+  refreshToken: {
+    secret: process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET,
+    expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d'
+  },
+  previewToken: {
+    secret: process.env.JWT_SECRET,
+    expiresIn: parseInt(process.env.PREVIEW_TOKEN_EXPIRES_IN || '3600', 10)
+  }
+};
+
+module.exports = authConfig;
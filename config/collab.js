@@ -0,0 +1,13 @@
+/**
+ * Collaborative editing sessions (WebSocket, Yjs)
+ */
+const collabConfig = {
+  // Delay between an edit and persisting the merged content
+  persistInterval: parseInt(process.env.COLLAB_PERSIST_INTERVAL_MS || '5000', 10),
+  // How long a session stays in memory after its last client disconnects
+  idleTimeout: parseInt(process.env.COLLAB_IDLE_TIMEOUT_MS || '30000', 10),
+  // Interval for detecting dead connections
+  pingInterval: parseInt(process.env.COLLAB_PING_INTERVAL_MS || '30000', 10)
+};
+
+module.exports = collabConfig;
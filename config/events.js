@@ -0,0 +1,13 @@
+/**
+ * Project change feed (server-sent events)
+ */
+const eventConfig = {
+  // Recent events kept per project so reconnecting clients can resume
+  bufferSize: parseInt(process.env.EVENT_BUFFER_SIZE || '500', 10),
+  // Buffers of projects without events for this long are dropped (clients then get a reset)
+  bufferIdleTimeout: parseInt(process.env.EVENT_BUFFER_IDLE_MS || '3600000', 10),
+  // Interval between keep-alive comments on open streams
+  heartbeatInterval: parseInt(process.env.EVENT_HEARTBEAT_INTERVAL_MS || '25000', 10)
+};
+
+module.exports = eventConfig;
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load the import map for bare imports in previews ({ "imports": { "react": "https://..." } })
+ */
+const loadImportMap = (filePath) => {
+  if (!filePath) {
+    return {};
+  }
+
+  try {
+    const importMap = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf-8'));
+    return importMap.imports || {};
+  } catch (error) {
+    console.error(`⚠️  Failed to load preview import map ${filePath}:`, error.message);
+    return {};
+  }
+};
+
+/**
+ * Project preview settings
+ */
+const previewConfig = {
+  // Folders served at the preview root besides the project root (Create React App keeps static files in public/)
+  webRoots: ['', 'public'],
+  // Entry page served for client-side routes, first match wins
+  fallbackPaths: ['public/index.html', 'index.html'],
+  // Scripts loaded by the entry page when it has none of its own (Create React App injects them at build time)
+  entryScripts: ['src/index.js', 'src/index.jsx', 'src/index.tsx', 'src/index.ts', 'src/main.jsx', 'src/main.tsx', 'src/main.js'],
+  // Bare imports ("react") not in the import map load from this CDN, at the version in the project's package.json
+  cdnUrl: (process.env.PREVIEW_CDN_URL || 'https://esm.sh').replace(/\/+$/, ''),
+  importMap: loadImportMap(process.env.PREVIEW_IMPORT_MAP),
+  // Local directory served at /preview-vendor/ for import map entries that point there
+  vendorDir: process.env.PREVIEW_VENDOR_DIR || null,
+  // Compiled modules kept in memory, keyed by content hash
+  transformCacheSize: parseInt(process.env.PREVIEW_TRANSFORM_CACHE_SIZE || '500', 10)
+};
+
+module.exports = previewConfig;
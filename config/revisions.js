@@ -0,0 +1,13 @@
+/**
+ * Revision history retention policy
+ * Older revisions beyond either limit are purged after each save.
+ * The most recent revision of a file is always kept.
+ */
+const revisionConfig = {
+  // Maximum revisions kept per file (0 = unlimited)
+  maxPerFile: parseInt(process.env.REVISION_MAX_PER_FILE || '50', 10),
+  // Maximum age of a revision in days (0 = unlimited)
+  retentionDays: parseInt(process.env.REVISION_RETENTION_DAYS || '30', 10)
+};
+
+module.exports = revisionConfig;
@@ -0,0 +1,13 @@
+/**
+ * Project search limits
+ */
+const searchConfig = {
+  // Files larger than this are not indexed (and not searchable)
+  maxIndexedFileSize: parseInt(process.env.SEARCH_MAX_INDEXED_FILE_SIZE || '1048576', 10),
+  // Maximum matching lines returned by a single search
+  maxResults: parseInt(process.env.SEARCH_MAX_RESULTS || '1000', 10),
+  // Time budget for running a regular expression over a project's files
+  regexTimeout: parseInt(process.env.SEARCH_REGEX_TIMEOUT_MS || '5000', 10)
+};
+
+module.exports = searchConfig;
@@ -0,0 +1,16 @@
+const path = require('path');
+
+/**
+ * Storage configuration
+ * STORAGE_DRIVER selects the content backend ('s3', 'local' or 'database').
+ * When unset, S3 is used if AWS credentials are present, otherwise local disk.
+ */
+const storageConfig = {
+  driver: (process.env.STORAGE_DRIVER || '').toLowerCase() || null,
+  local: {
+    // Root directory for the local filesystem driver
+    rootDir: path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', 'storage'))
+  }
+};
+
+module.exports = storageConfig;
@@ -0,0 +1,12 @@
+/**
+ * Trash retention policy
+ * Trashed projects and files are purged for good once they are older than the retention period.
+ */
+const trashConfig = {
+  // Days items stay in the trash (0 = until deleted by hand)
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10),
+  // How often the sweeper looks for expired items
+  sweepInterval: parseInt(process.env.TRASH_SWEEP_INTERVAL_MS || '3600000', 10)
+};
+
+module.exports = trashConfig;
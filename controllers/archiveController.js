@@ -0,0 +1,198 @@
+const archiver = require('archiver');
+const Project = require('../models/Project');
+const FileMetadata = require('../models/FileMetadata');
+const storageService = require('../services/storageService');
+const { readProjectArchive } = require('../services/archiveService');
+const { createFileWithContent, ensureFolderPath } = require('../services/fileService');
+const { purgeProject } = require('../services/projectService');
+const { handleDatabaseOperation } = require('../utils/database');
+const { getProjectForUser } = require('../utils/projectAccess');
+const { buildPathMap } = require('../utils/fileHierarchy');
+
+/**
+ * Turn a project name into a safe archive folder/file name
+ */
+const toArchiveName = (name) => {
+  return name.trim().replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+};
+
+/**
+ * Export a project as a ZIP archive with its folder structure
+ */
+const exportProject = async (req, res) => {
+  let streaming = false;
+
+  try {
+    const { id } = req.params;
+
+    const project = await getProjectForUser(id, req.user, 'viewer');
+
+    const files = await handleDatabaseOperation(async () => {
+      return await FileMetadata.find({ projectId: project._id });
+    }, 'Failed to fetch project files for export');
+
+    const pathMap = buildPathMap(files);
+    const rootName = toArchiveName(project.name);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('warning', (warning) => {
+      console.warn('Project export warning:', warning);
+    });
+
+    archive.on('error', (archiveError) => {
+      console.error('Project export archive error:', archiveError);
+      res.destroy(archiveError);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${rootName}.zip"`);
+    archive.pipe(res);
+    streaming = true;
+
+    // Wait for each entry to be written so only one file is held in memory
+    const appendEntry = (data, options) => {
+      const entryWritten = new Promise(resolve => archive.once('entry', resolve));
+      archive.append(data, options);
+      return entryWritten;
+    };
+
+    // Stream each file's content into the archive, one at a time
+    for (const file of files) {
+      const entryName = `${rootName}/${pathMap.get(file._id.toString())}`;
+
+      if (file.type === 'folder') {
+        // Keep empty folders in the archive
+        await appendEntry(null, { name: `${entryName}/` });
+        continue;
+      }
+
+      let content = '';
+      try {
+        content = await storageService.getFile(file.s3Key);
+      } catch (storageError) {
+        console.log(`⚠️  Storage download failed for ${file.name}, exporting empty content`);
+      }
+
+      await appendEntry(content, { name: entryName, date: file.updatedAt });
+    }
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Export project error:', error);
+
+    // Once the archive is streaming the JSON error envelope can no longer be sent
+    if (streaming) {
+      res.destroy(error);
+      return;
+    }
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'EXPORT_PROJECT_FAILED',
+        message: error.message || 'Failed to export project'
+      }
+    });
+  }
+};
+
+/**
+ * Import a project from an uploaded ZIP archive
+ */
+const importProject = async (req, res) => {
+  let project = null;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ARCHIVE_REQUIRED',
+          message: 'A ZIP archive is required in the "archive" field'
+        }
+      });
+    }
+
+    const { name, description } = req.validatedData;
+    const archive = await readProjectArchive(req.file.buffer);
+
+    if (archive.files.length === 0 && archive.folders.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'EMPTY_ARCHIVE',
+          message: 'The archive contains no importable files',
+          details: archive.skipped
+        }
+      });
+    }
+
+    const projectName = name || archive.rootName ||
+      req.file.originalname.replace(/\.zip$/i, '').trim() || 'Imported project';
+
+    project = await Project.create({
+      name: projectName.slice(0, 100),
+      description,
+      userId: req.user._id
+    });
+
+    // Recreate folders first (shallowest first), then files inside them
+    const folderCache = new Map();
+    for (const folderPath of archive.folders) {
+      await ensureFolderPath(project._id, folderPath.split('/'), folderCache);
+    }
+
+    for (const file of archive.files) {
+      const segments = file.path.split('/');
+      const fileName = segments.pop();
+      const parentId = await ensureFolderPath(project._id, segments, folderCache);
+
+      await createFileWithContent(
+        { projectId: project._id, name: fileName, parentId, content: file.content },
+        { authorId: req.user._id }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        project,
+        imported: {
+          files: archive.files.length,
+          folders: folderCache.size
+        },
+        skipped: archive.skipped,
+        message: 'Project imported successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Import project error:', error);
+
+    // Never leave a half-imported project behind
+    if (project) {
+      try {
+        await purgeProject(project);
+      } catch (cleanupError) {
+        console.error('Failed to clean up partially imported project:', cleanupError);
+      }
+    }
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'IMPORT_PROJECT_FAILED',
+        message: error.message || 'Failed to import project'
+      }
+    });
+  }
+};
+
+module.exports = {
+  exportProject,
+  importProject
+};
@@ -0,0 +1,132 @@
+const User = require('../models/User');
+const { generateTokenPair, verifyRefreshToken } = require('../utils/tokens');
+
+/**
+ * Register a new user account
+ */
+const register = async (req, res, next) => {
+  try {
+    const { email, password } = req.validatedData;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      const error = new Error('An account with this email already exists');
+      error.statusCode = 409;
+      error.code = 'EMAIL_IN_USE';
+      throw error;
+    }
+
+    // passwordHash is hashed by the User pre-save hook
+    const user = await User.create({ email, passwordHash: password });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user,
+        tokens: generateTokenPair(user)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log in with email and password
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.validatedData;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    const isMatch = user ? await user.comparePassword(password) : false;
+
+    if (!isMatch) {
+      const error = new Error('Invalid email or password');
+      error.statusCode = 401;
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        tokens: generateTokenPair(user)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.validatedData;
+
+    const payload = verifyRefreshToken(refreshToken);
+    const user = await User.findById(payload.sub);
+
+    // Refresh tokens are invalidated by logout (tokenVersion bump)
+    if (!user || payload.version !== user.tokenVersion) {
+      const error = new Error('Refresh token has been revoked');
+      error.statusCode = 401;
+      error.code = 'INVALID_TOKEN';
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tokens: generateTokenPair(user)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out by revoking every token issued to the user
+ */
+const logout = async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Logged out successfully'
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the authenticated user
+ */
+const me = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: req.user
+    }
+  });
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  me
+};
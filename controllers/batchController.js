@@ -0,0 +1,61 @@
+const { getProjectForUser } = require('../utils/projectAccess');
+const { applyFileBatch } = require('../services/batchService');
+const { publishFileEvent } = require('../services/eventService');
+
+// Change feed entry for each kind of batch operation
+const BATCH_EVENTS = {
+  create: { change: 'created' },
+  update: { change: 'updated', changes: ['content'] },
+  rename: { change: 'updated', changes: ['name'] },
+  move: { change: 'updated', changes: ['parentId'] },
+  delete: { change: 'deleted' }
+};
+
+/**
+ * Apply a list of create/update/rename/move/delete file operations atomically
+ */
+const batchFiles = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { operations } = req.validatedData;
+
+    const project = await getProjectForUser(id, req.user, 'editor');
+
+    const results = await applyFileBatch(project, operations, { authorId: req.user._id });
+
+    for (const result of results) {
+      const { change, changes } = BATCH_EVENTS[result.op];
+      await publishFileEvent(change, result.file, {
+        path: result.path,
+        changes,
+        ...(result.op === 'delete' && { deletedFiles: result.deletedFiles, trashed: true }),
+        actorId: req.user._id
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        applied: results.length,
+        message: 'Batch applied successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Batch files error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'BATCH_FAILED',
+        message: error.message || 'Failed to apply batch',
+        ...(error.results && { details: error.results })
+      }
+    });
+  }
+};
+
+module.exports = {
+  batchFiles
+};
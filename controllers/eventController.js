@@ -0,0 +1,145 @@
+const User = require('../models/User');
+const { getProjectForUser, findProjectById, getProjectRole } = require('../utils/projectAccess');
+const { getEventsSince, subscribe } = require('../services/eventService');
+const eventConfig = require('../config/events');
+
+/**
+ * Format an event in the text/event-stream wire format
+ */
+const formatEvent = (event) => {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ id: event.id, ...event.data })}\n\n`;
+};
+
+/**
+ * Check that a stream's user may still follow the project
+ * Access ends when the user is removed from the project (or it is trashed), and when
+ * they log out, which invalidates the token the stream was opened with.
+ */
+const hasStreamAccess = async (projectId, streamUser) => {
+  const [user, project] = await Promise.all([
+    User.findById(streamUser._id).select('tokenVersion'),
+    findProjectById(projectId)
+  ]);
+
+  if (!user || user.tokenVersion !== streamUser.tokenVersion || !project) {
+    return false;
+  }
+  return !!getProjectRole(project, user);
+};
+
+/**
+ * Stream a project's changes as server-sent events
+ * Reconnecting clients resume from Last-Event-ID (or ?lastEventId=); if events
+ * were missed a "reset" event tells them to reload the project instead.
+ * Access is checked again on member changes and with every heartbeat; once it is
+ * gone a "revoked" event is sent and the stream closes.
+ */
+const streamProjectEvents = async (req, res) => {
+  let project;
+  try {
+    const { id } = req.params;
+    project = await getProjectForUser(id, req.user, 'viewer');
+  } catch (error) {
+    console.error('Project events error:', error);
+    const statusCode = error.statusCode || 500;
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'PROJECT_EVENTS_FAILED',
+        message: error.message || 'Failed to open project event stream'
+      }
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    res.end();
+  };
+
+  const revokeIfDenied = async () => {
+    let allowed = true;
+    try {
+      allowed = await hasStreamAccess(project._id, req.user);
+    } catch (error) {
+      console.error('Project events access check error:', error);
+    }
+    if (!allowed && !closed) {
+      res.write(`event: revoked\ndata: ${JSON.stringify({ projectId: project._id.toString() })}\n\n`);
+      close();
+    }
+  };
+
+  const write = (event) => {
+    if (closed) {
+      return;
+    }
+    res.write(formatEvent(event));
+
+    // The stream ends with its project
+    if (event.type === 'project' && event.data.change === 'deleted') {
+      close();
+    }
+  };
+
+  // Events after a member change wait for the access check, so a removed member gets none of them
+  let pending = null;
+  const send = (event) => {
+    const isMemberChange = event.type === 'project' && (event.data.changes || []).includes('members');
+    if (!pending && !isMemberChange) {
+      return write(event);
+    }
+
+    const previous = pending || Promise.resolve();
+    const current = previous
+      .then(() => (isMemberChange ? revokeIfDenied() : null))
+      .then(() => write(event));
+    pending = current;
+    current.then(() => {
+      if (pending === current) {
+        pending = null;
+      }
+    });
+  };
+
+  req.on('close', close);
+
+  // Replay and subscribe synchronously so no event can slip in between
+  const { events, complete } = getEventsSince(project._id, req.get('Last-Event-ID') || req.query.lastEventId);
+  if (!complete) {
+    res.write(`event: reset\ndata: ${JSON.stringify({ projectId: project._id.toString() })}\n\n`);
+  }
+  events.forEach(send);
+  if (closed) {
+    return;
+  }
+  unsubscribe = subscribe(project._id, send);
+
+  heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    revokeIfDenied();
+  }, eventConfig.heartbeatInterval);
+};
+
+module.exports = {
+  streamProjectEvents
+};
@@ -1,15 +1,26 @@
 const FileMetadata = require('../models/FileMetadata');
-const Project = require('../models/Project');
 const { handleDatabaseOperation } = require('../utils/database');
-const s3Service = require('../services/s3Service');
-// Simple UUID v4 replacement using crypto
-const uuidv4 = () => {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-};
+const { getProjectForUser, getFileForUser } = require('../utils/projectAccess');
+const storageService = require('../services/storageService');
+const {
+  createFileWithContent,
+  createFolder,
+  copyFileTree,
+  saveFileContent,
+  versionConflictError
+} = require('../services/fileService');
+const { formatETag, parseIfMatch } = require('../utils/etag');
+const {
+  buildFileTree,
+  calculateFolderStats,
+  getFilePath,
+  parseFilePath,
+  resolveFilePath,
+  validateHierarchyOperation
+} = require('../utils/fileHierarchy');
+const { trashFileTree } = require('../services/trashService');
+const { moveFileTree } = require('../services/moveService');
+const { publishFileEvent } = require('../services/eventService');
 
 /**
  * Get all files for a project
@@ -18,35 +29,8 @@ const getProjectFiles = async (req, res) => {
   try {
     const { projectId } = req.params;
 
-    // Verify project exists
-    const project = await handleDatabaseOperation(async () => {
-      const mongoose = require('mongoose');
-      let proj = null;
-      
-      // Try different approaches to find the project
-      try {
-        // Method 1: Try as ObjectId if it's valid format
-        if (mongoose.Types.ObjectId.isValid(projectId) && projectId.length === 24) {
-          proj = await Project.findById(projectId);
-        }
-        
-        // Method 2: If not found, try as string in _id field
-        if (!proj) {
-          proj = await Project.findOne({ _id: projectId });
-        }
-        
-      } catch (castError) {
-        // If casting fails, try finding by string
-        proj = await Project.findOne({ _id: projectId });
-      }
-      if (!proj) {
-        const error = new Error('Project not found');
-        error.statusCode = 404;
-        error.code = 'PROJECT_NOT_FOUND';
-        throw error;
-      }
-      return proj;
-    }, 'Failed to find project');
+    // Verify project exists and the caller can read it
+    await getProjectForUser(projectId, req.user, 'viewer');
 
     // Get all files for the project
     const files = await handleDatabaseOperation(async () => {
@@ -77,6 +61,102 @@ const getProjectFiles = async (req, res) => {
   }
 };
 
+/**
+ * Get a project's files as a nested tree
+ * ?path= starts the tree at a folder and ?depth= limits how many levels are returned,
+ * so clients can load large trees lazily. Folders carry the total size and number of
+ * files below them, whether or not those levels were returned.
+ */
+const getProjectTree = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { path: rawPath, depth } = req.validatedQuery;
+    const segments = parseFilePath(rawPath);
+    const folderPath = segments.join('/');
+
+    const project = await getProjectForUser(id, req.user, 'viewer');
+
+    // An empty path is the project root
+    const folder = segments.length > 0 ? await resolveFilePath(project._id, segments) : null;
+    if (segments.length > 0 && (!folder || folder.type !== 'folder')) {
+      const error = new Error(folder ? `"${folderPath}" is a file, not a folder` : `No folder at "${folderPath}"`);
+      error.statusCode = folder ? 400 : 404;
+      error.code = folder ? 'NOT_A_FOLDER' : 'PATH_NOT_FOUND';
+      throw error;
+    }
+
+    // Items below the start folder, minus those more than `depth` levels down
+    // (which have an ancestor at that position)
+    const baseLevel = folder ? folder.ancestors.length + 1 : 0;
+    const query = { projectId: project._id };
+    if (folder) {
+      query.ancestors = folder._id;
+    }
+    if (depth) {
+      query[`ancestors.${baseLevel + depth - 1}`] = { $exists: false };
+    }
+
+    const files = await handleDatabaseOperation(async () => {
+      return await FileMetadata.find(query).select('-__v');
+    }, 'Failed to fetch project files');
+
+    const folders = files.filter(file => file.type === 'folder');
+    const lastLevelIds = depth
+      ? folders.filter(item => item.ancestors.length === baseLevel + depth - 1).map(item => item._id)
+      : [];
+
+    const [stats, unloadedParentIds] = await Promise.all([
+      handleDatabaseOperation(async () => {
+        return await calculateFolderStats(project._id, folders.map(item => item._id));
+      }, 'Failed to calculate folder sizes'),
+      // Folders on the last returned level whose contents were left out
+      handleDatabaseOperation(async () => {
+        return lastLevelIds.length > 0
+          ? await FileMetadata.distinct('parentId', { parentId: { $in: lastLevelIds }, trashedAt: null })
+          : [];
+      }, 'Failed to fetch folder contents')
+    ]);
+
+    const unloaded = new Set(unloadedParentIds.map(parentId => parentId.toString()));
+    const decorate = (node) => {
+      if (node.type === 'folder') {
+        const nodeId = node._id.toString();
+        Object.assign(node, stats.get(nodeId), {
+          childrenLoaded: !unloaded.has(nodeId),
+          hasChildren: node.children.length > 0 || unloaded.has(nodeId)
+        });
+        node.children.forEach(decorate);
+      }
+      return node;
+    };
+    const tree = buildFileTree(files, folder ? folder._id : null).map(decorate);
+
+    res.json({
+      success: true,
+      data: {
+        path: folderPath,
+        folder,
+        depth: depth || null,
+        tree,
+        size: tree.reduce((total, node) => total + (node.size || 0), 0),
+        fileCount: tree.reduce((total, node) => total + (node.type === 'file' ? 1 : node.fileCount), 0),
+        count: files.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get project tree error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_TREE_FAILED',
+        message: error.message || 'Failed to fetch project tree'
+      }
+    });
+  }
+};
+
 /**
  * Create a new file or folder
  */
@@ -84,49 +164,8 @@ const createFile = async (req, res) => {
   try {
     const { projectId, name, type, parentId, content } = req.validatedData;
 
-    // Verify project exists - handle both ObjectId and string formats
-    await handleDatabaseOperation(async () => {
-      const mongoose = require('mongoose');
-      let project = null;
-      
-      // Try different approaches to find the project
-      try {
-        // Method 1: Try as ObjectId if it's valid format
-        if (mongoose.Types.ObjectId.isValid(projectId) && projectId.length === 24) {
-          project = await Project.findById(projectId);
-        }
-        
-        // Method 2: If not found, try as string in _id field
-        if (!project) {
-          project = await Project.findOne({ _id: projectId });
-        }
-        
-        // Method 3: If still not found, try converting string to ObjectId
-        if (!project && mongoose.Types.ObjectId.isValid(projectId)) {
-          const objectId = new mongoose.Types.ObjectId(projectId);
-          project = await Project.findById(objectId);
-        }
-        
-      } catch (castError) {
-        // If casting fails, try finding by string
-        project = await Project.findOne({ _id: projectId });
-      }
-      
-      if (!project) {
-        console.log('🔍 Project not found. Searched for:', projectId);
-        console.log('🔍 ProjectId type:', typeof projectId);
-        console.log('🔍 ProjectId length:', projectId?.length);
-        console.log('🔍 Is valid ObjectId:', mongoose.Types.ObjectId.isValid(projectId));
-        
-        const error = new Error('Project not found');
-        error.statusCode = 404;
-        error.code = 'PROJECT_NOT_FOUND';
-        throw error;
-      }
-      
-      console.log('✅ Project found:', project._id);
-      return project;
-    }, 'Failed to find project');
+    // Verify project exists and the caller can edit it
+    await getProjectForUser(projectId, req.user, 'editor');
 
     // Verify parent folder exists if parentId is provided
     if (parentId) {
@@ -164,46 +203,20 @@ const createFile = async (req, res) => {
     }
 
     let fileMetadata;
-    let s3Key = null;
 
     if (type === 'file') {
-      // Generate S3 key for file
-      const fileId = uuidv4();
-      s3Key = s3Service.generateS3Key(projectId, fileId, name);
-
-      // Upload content to S3
-      try {
-        await s3Service.uploadFile(s3Key, content || '', getMimeType(name));
-      } catch (s3Error) {
-        console.log(`⚠️  S3 upload skipped for ${name} (development mode)`);
-        // Continue without S3 in development
-      }
-
-      // Create file metadata
-      fileMetadata = await handleDatabaseOperation(async () => {
-        return await FileMetadata.create({
-          projectId,
-          name,
-          type,
-          parentId: parentId || null,
-          s3Key,
-          size: Buffer.byteLength(content || '', 'utf8'),
-          mimeType: getMimeType(name)
-        });
-      }, 'Failed to create file metadata');
-
+      // Store content, create metadata and record the initial revision
+      fileMetadata = await createFileWithContent(
+        { projectId, name, parentId, content: content || '' },
+        { authorId: req.user._id }
+      );
     } else {
-      // Create folder metadata (no S3 storage)
-      fileMetadata = await handleDatabaseOperation(async () => {
-        return await FileMetadata.create({
-          projectId,
-          name,
-          type,
-          parentId: parentId || null
-        });
-      }, 'Failed to create folder metadata');
+      // Create folder metadata (no content storage)
+      fileMetadata = await createFolder({ projectId, name, parentId });
     }
 
+    await publishFileEvent('created', fileMetadata, { actorId: req.user._id });
+
     res.status(201).json({
       success: true,
       data: {
@@ -232,17 +245,8 @@ const getFile = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Get file metadata
-    const fileMetadata = await handleDatabaseOperation(async () => {
-      const file = await FileMetadata.findById(id);
-      if (!file) {
-        const error = new Error('File not found');
-        error.statusCode = 404;
-        error.code = 'FILE_NOT_FOUND';
-        throw error;
-      }
-      return file;
-    }, 'Failed to find file');
+    // Get file metadata and verify the caller can read its project
+    const { file: fileMetadata } = await getFileForUser(id, req.user, 'viewer');
 
     if (fileMetadata.type === 'folder') {
       return res.status(400).json({
@@ -254,17 +258,24 @@ const getFile = async (req, res) => {
       });
     }
 
-    // Get file content from S3
+    // Get file content from storage
     let content = '';
     if (fileMetadata.s3Key) {
       try {
-        content = await s3Service.getFile(fileMetadata.s3Key);
-      } catch (s3Error) {
-        console.log(`⚠️  S3 download failed for ${fileMetadata.name}, returning empty content`);
-        content = ''; // Return empty content if S3 fails
+        content = await storageService.getFile(fileMetadata.s3Key);
+      } catch (storageError) {
+        console.log(`⚠️  Storage download failed for ${fileMetadata.name}, returning empty content`);
+        content = ''; // Files created before storage was configured have no stored content
       }
     }
 
+    // The ETag is the content version; send it back in If-Match when saving.
+    // no-store keeps browsers from revalidating and replaying stale metadata.
+    res.set({
+      ETag: formatETag(fileMetadata),
+      'Cache-Control': 'no-store'
+    });
+
     res.json({
       success: true,
       data: {
@@ -296,23 +307,32 @@ const updateFile = async (req, res) => {
     const { id } = req.params;
     const { name, content, parentId } = req.validatedData;
 
-    // Get existing file metadata
-    const fileMetadata = await handleDatabaseOperation(async () => {
-      const file = await FileMetadata.findById(id);
-      if (!file) {
-        const error = new Error('File not found');
-        error.statusCode = 404;
-        error.code = 'FILE_NOT_FOUND';
-        throw error;
+    // Get existing file metadata and verify the caller can edit its project
+    const { file: fileMetadata } = await getFileForUser(id, req.user, 'editor');
+
+    // Honour If-Match: only save on top of the version the client loaded
+    const acceptedVersions = parseIfMatch(req.get('If-Match'));
+    let expectedVersion = null;
+    if (acceptedVersions) {
+      expectedVersion = fileMetadata.version || 0;
+      if (!acceptedVersions.includes(expectedVersion)) {
+        throw await versionConflictError(fileMetadata._id);
       }
-      return file;
-    }, 'Failed to find file');
+    }
 
-    // Check for name conflicts if name is being changed
-    if (name && name !== fileMetadata.name) {
+    const nameChanged = name !== undefined && name !== fileMetadata.name;
+    const parentChanged = parentId !== undefined && String(parentId) !== String(fileMetadata.parentId);
+
+    // Verify the new parent is a folder of this project and not the folder's own descendant
+    if (parentChanged) {
+      await validateHierarchyOperation(fileMetadata._id, parentId, fileMetadata.projectId);
+    }
+
+    // Check for name conflicts at the (new) location
+    if (nameChanged || parentChanged) {
       const existingFile = await FileMetadata.findOne({
         projectId: fileMetadata.projectId,
-        name,
+        name: nameChanged ? name : fileMetadata.name,
         parentId: parentId !== undefined ? parentId : fileMetadata.parentId,
         _id: { $ne: id }
       });
@@ -322,57 +342,54 @@ const updateFile = async (req, res) => {
           success: false,
           error: {
             code: 'FILE_EXISTS',
-            message: `A ${fileMetadata.type} with the name "${name}" already exists in this location`
+            message: `A ${existingFile.type} with the name "${existingFile.name}" already exists in this location`
           }
         });
       }
     }
 
-    // Verify parent folder exists if parentId is being changed
-    if (parentId !== undefined && parentId !== fileMetadata.parentId) {
-      if (parentId) {
-        await handleDatabaseOperation(async () => {
-          const parent = await FileMetadata.findOne({ 
-            _id: parentId, 
-            projectId: fileMetadata.projectId, 
-            type: 'folder' 
-          });
-          if (!parent) {
-            const error = new Error('Parent folder not found');
-            error.statusCode = 404;
-            error.code = 'PARENT_NOT_FOUND';
-            throw error;
-          }
-          return parent;
-        }, 'Failed to find parent folder');
-      }
-    }
+    const changes = [];
+    if (content !== undefined && fileMetadata.type === 'file') changes.push('content');
+    if (nameChanged) changes.push('name');
+    if (parentChanged) changes.push('parentId');
 
-    // Update file content in S3 if content is provided and it's a file
-    if (content !== undefined && fileMetadata.type === 'file' && fileMetadata.s3Key) {
-      try {
-        await s3Service.uploadFile(fileMetadata.s3Key, content, fileMetadata.mimeType);
-      } catch (s3Error) {
-        console.log(`⚠️  S3 update skipped for ${fileMetadata.name} (development mode)`);
-      }
+    // Path before a rename/move, for the change feed
+    const previousPath = changes.includes('name') || changes.includes('parentId')
+      ? await getFilePath(fileMetadata._id)
+      : undefined;
+
+    // Save new content (records a revision) if content is provided and it's a file
+    let updatedFile = fileMetadata;
+    if (content !== undefined && fileMetadata.type === 'file') {
+      ({ file: updatedFile } = await saveFileContent(fileMetadata, content, {
+        authorId: req.user._id,
+        expectedVersion
+      }));
     }
 
     // Update metadata
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (parentId !== undefined) updateData.parentId = parentId;
-    if (content !== undefined && fileMetadata.type === 'file') {
-      updateData.size = Buffer.byteLength(content, 'utf8');
+
+    if (Object.keys(updateData).length > 0) {
+      updatedFile = await handleDatabaseOperation(async () => {
+        const file = await FileMetadata.findByIdAndUpdate(
+          id,
+          updateData,
+          { new: true, runValidators: true }
+        ).select('-__v');
+
+        // Carry a rename or move down to everything below a folder
+        return nameChanged || parentChanged ? await FileMetadata.syncHierarchy(file) : file;
+      }, 'Failed to update file metadata');
     }
 
-    const updatedFile = await handleDatabaseOperation(async () => {
-      return await FileMetadata.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      ).select('-__v');
-    }, 'Failed to update file metadata');
+    if (changes.length > 0) {
+      await publishFileEvent('updated', updatedFile, { previousPath, changes, actorId: req.user._id });
+    }
 
+    res.set('ETag', formatETag(updatedFile));
     res.json({
       success: true,
       data: {
@@ -388,83 +405,146 @@ const updateFile = async (req, res) => {
       success: false,
       error: {
         code: error.code || 'UPDATE_FILE_FAILED',
-        message: error.message || 'Failed to update file'
+        message: error.message || 'Failed to update file',
+        // On a version conflict: the server's current version and content
+        ...(error.current && { current: error.current })
       }
     });
   }
 };
 
 /**
- * Delete file or folder (recursive for folders)
+ * Move and/or rename a file or folder, returning its new path
  */
-const deleteFile = async (req, res) => {
+const moveFile = async (req, res) => {
   try {
     const { id } = req.params;
+    const { parentId, name, onConflict } = req.validatedData;
+
+    // Get file metadata and verify the caller can edit its project
+    const { file: fileMetadata } = await getFileForUser(id, req.user, 'editor');
+
+    const { file, path, previousPath, moved, replaced } = await moveFileTree(
+      fileMetadata,
+      { parentId, name, onConflict },
+      { userId: req.user._id }
+    );
+
+    // An overwritten item went to the trash
+    if (replaced) {
+      await publishFileEvent('deleted', replaced.file, {
+        path: replaced.path,
+        deletedFiles: replaced.trashedFiles,
+        trashed: true,
+        actorId: req.user._id
+      });
+    }
+
+    if (moved) {
+      const changes = [];
+      if (file.name !== fileMetadata.name) changes.push('name');
+      if (String(file.parentId) !== String(fileMetadata.parentId)) changes.push('parentId');
+      await publishFileEvent('updated', file, { previousPath, changes, actorId: req.user._id });
+    }
 
-    // Get file metadata
-    const fileMetadata = await handleDatabaseOperation(async () => {
-      const file = await FileMetadata.findById(id);
-      if (!file) {
-        const error = new Error('File not found');
-        error.statusCode = 404;
-        error.code = 'FILE_NOT_FOUND';
-        throw error;
+    res.json({
+      success: true,
+      data: {
+        file,
+        path,
+        previousPath,
+        ...(replaced && { replaced: { fileId: replaced.file._id, path: replaced.path } }),
+        message: moved
+          ? `${file.type === 'file' ? 'File' : 'Folder'} moved to "${path}"`
+          : `${file.type === 'file' ? 'File' : 'Folder'} is already at "${path}"`
       }
-      return file;
-    }, 'Failed to find file');
+    });
 
-    let deletedFiles = [];
-    let s3Keys = [];
+  } catch (error) {
+    console.error('Move file error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'MOVE_FILE_FAILED',
+        message: error.message || 'Failed to move file'
+      }
+    });
+  }
+};
 
-    if (fileMetadata.type === 'folder') {
-      // Get all children recursively
-      const allChildren = await FileMetadata.findAllChildren(id);
-      deletedFiles = [fileMetadata, ...allChildren];
-      
-      // Collect S3 keys from files (not folders)
-      s3Keys = allChildren
-        .filter(file => file.s3Key)
-        .map(file => file.s3Key);
+/**
+ * Copy a file, or a folder with everything below it, returning the new tree
+ */
+const copyFile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { parentId, name } = req.validatedData;
 
-    } else {
-      // Single file
-      deletedFiles = [fileMetadata];
-      if (fileMetadata.s3Key) {
-        s3Keys = [fileMetadata.s3Key];
-      }
-    }
+    // Get file metadata and verify the caller can edit its project
+    const { file: fileMetadata } = await getFileForUser(id, req.user, 'editor');
 
-    // Delete files from S3
-    if (s3Keys.length > 0) {
-      try {
-        await s3Service.deleteFiles(s3Keys);
-      } catch (s3Error) {
-        console.error('S3 deletion error (continuing with database cleanup):', s3Error);
+    const { tree, copiedFiles } = await copyFileTree(
+      fileMetadata,
+      { parentId, name },
+      { authorId: req.user._id }
+    );
+
+    const path = await getFilePath(tree._id);
+    await publishFileEvent('created', tree, { path, copiedFiles, actorId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        file: tree,
+        path,
+        copiedFiles,
+        message: `${tree.type === 'file' ? 'File' : 'Folder'} copied to "${path}"`
       }
-    }
+    });
 
-    // Delete from database
-    if (fileMetadata.type === 'folder') {
-      // Delete all children first, then the folder
-      const childIds = deletedFiles.slice(1).map(file => file._id);
-      if (childIds.length > 0) {
-        await handleDatabaseOperation(async () => {
-          await FileMetadata.deleteMany({ _id: { $in: childIds } });
-        }, 'Failed to delete child files');
+  } catch (error) {
+    console.error('Copy file error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'COPY_FILE_FAILED',
+        message: error.message || 'Failed to copy file'
       }
-    }
+    });
+  }
+};
+
+/**
+ * Move a file or folder (with everything below it) to the trash
+ */
+const deleteFile = async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    // Delete the main file/folder
-    await handleDatabaseOperation(async () => {
-      await FileMetadata.findByIdAndDelete(id);
-    }, 'Failed to delete file');
+    // Get file metadata and verify the caller can edit its project
+    const { file: fileMetadata } = await getFileForUser(id, req.user, 'editor');
+
+    const path = await getFilePath(fileMetadata._id);
+
+    // Content and revisions are kept until the trash entry is purged
+    const { trashedFiles, trashedAt, purgeAt } = await trashFileTree(fileMetadata, req.user._id);
+
+    await publishFileEvent('deleted', fileMetadata, {
+      path,
+      deletedFiles: trashedFiles,
+      trashed: true,
+      actorId: req.user._id
+    });
 
     res.json({
       success: true,
       data: {
-        message: `${fileMetadata.type === 'file' ? 'File' : 'Folder'} deleted successfully`,
-        deletedFiles: deletedFiles.length,
-        deletedS3Objects: s3Keys.length
+        message: `${fileMetadata.type === 'file' ? 'File' : 'Folder'} moved to trash`,
+        trashedFiles,
+        trashedAt,
+        purgeAt
       }
     });
 
@@ -481,33 +561,13 @@ const deleteFile = async (req, res) => {
   }
 };
 
-/**
- * Helper function to determine MIME type from file name
- */
-function getMimeType(fileName) {
-  const extension = fileName.split('.').pop().toLowerCase();
-  const mimeTypes = {
-    'js': 'application/javascript',
-    'jsx': 'application/javascript',
-    'ts': 'application/typescript',
-    'tsx': 'application/typescript',
-    'css': 'text/css',
-    'html': 'text/html',
-    'htm': 'text/html',
-    'json': 'application/json',
-    'md': 'text/markdown',
-    'txt': 'text/plain',
-    'xml': 'application/xml',
-    'svg': 'image/svg+xml'
-  };
-  
-  return mimeTypes[extension] || 'text/plain';
-}
-
 module.exports = {
   getProjectFiles,
+  getProjectTree,
   createFile,
   getFile,
   updateFile,
+  moveFile,
+  copyFile,
   deleteFile
 };
\ No newline at end of file
@@ -0,0 +1,255 @@
+const FileMetadata = require('../models/FileMetadata');
+const { handleDatabaseOperation } = require('../utils/database');
+const { getProjectForUser } = require('../utils/projectAccess');
+const { parseFilePath, resolveFilePath } = require('../utils/fileHierarchy');
+const storageService = require('../services/storageService');
+const {
+  createFileWithContent,
+  createFolder,
+  ensureFolderPath,
+  saveFileContent,
+  versionConflictError
+} = require('../services/fileService');
+const { formatETag, parseIfMatch } = require('../utils/etag');
+const { trashFileTree } = require('../services/trashService');
+const { publishFileEvent } = require('../services/eventService');
+
+/**
+ * Build the error for a path that does not exist in the project
+ */
+const pathNotFoundError = (filePath) => {
+  const error = new Error(`No file or folder at "${filePath}"`);
+  error.statusCode = 404;
+  error.code = 'PATH_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Read a file's content, or list a folder's entries, by path
+ */
+const readPath = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const segments = parseFilePath(req.params[0]);
+    const filePath = segments.join('/');
+
+    const project = await getProjectForUser(id, req.user, 'viewer');
+
+    // An empty path is the project root
+    const file = segments.length > 0 ? await resolveFilePath(project._id, segments) : null;
+    if (segments.length > 0 && !file) {
+      throw pathNotFoundError(filePath);
+    }
+
+    if (!file || file.type === 'folder') {
+      const entries = await handleDatabaseOperation(async () => {
+        return await FileMetadata.find({ projectId: project._id, parentId: file ? file._id : null })
+          .sort({ type: 1, name: 1 }) // Folders first, then files, alphabetically
+          .select('-__v');
+      }, 'Failed to list folder');
+
+      return res.json({
+        success: true,
+        data: {
+          path: filePath,
+          type: 'folder',
+          folder: file,
+          entries: entries.map(entry => ({
+            ...entry.toObject(),
+            path: filePath ? `${filePath}/${entry.name}` : entry.name
+          }))
+        }
+      });
+    }
+
+    let content = '';
+    try {
+      content = await storageService.getFile(file.s3Key);
+    } catch (storageError) {
+      console.log(`⚠️  Storage download failed for ${filePath}, returning empty content`);
+    }
+
+    res.set({
+      ETag: formatETag(file),
+      'Cache-Control': 'no-store'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        path: filePath,
+        type: 'file',
+        file: {
+          ...file.toObject(),
+          content
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Read path error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'READ_PATH_FAILED',
+        message: error.message || 'Failed to read path'
+      }
+    });
+  }
+};
+
+/**
+ * Write a file (or create a folder) by path, creating missing parent folders
+ */
+const writePath = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, content } = req.validatedData;
+    const segments = parseFilePath(req.params[0]);
+    const filePath = segments.join('/');
+
+    if (segments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PATH',
+          message: 'A file path is required'
+        }
+      });
+    }
+
+    const project = await getProjectForUser(id, req.user, 'editor');
+    const existing = await resolveFilePath(project._id, segments);
+
+    if (existing && existing.type !== type) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'FILE_EXISTS',
+          message: `"${filePath}" already exists as a ${existing.type}`
+        }
+      });
+    }
+
+    // Honour If-Match like PUT /api/files/:id
+    const acceptedVersions = parseIfMatch(req.get('If-Match'));
+    let expectedVersion = null;
+    if (acceptedVersions && type === 'file') {
+      expectedVersion = existing ? existing.version || 0 : null;
+      if (!existing || !acceptedVersions.includes(expectedVersion)) {
+        throw existing ? await versionConflictError(existing._id) : pathNotFoundError(filePath);
+      }
+    }
+
+    let file = existing;
+    if (existing && type === 'file') {
+      // Overwrite existing content (records a revision)
+      ({ file } = await saveFileContent(existing, content, { authorId: req.user._id, expectedVersion }));
+    } else if (!existing) {
+      const name = segments[segments.length - 1];
+      const parentId = await ensureFolderPath(project._id, segments.slice(0, -1));
+
+      file = type === 'file'
+        ? await createFileWithContent({ projectId: project._id, name, parentId, content }, { authorId: req.user._id })
+        : await createFolder({ projectId: project._id, name, parentId });
+    }
+
+    if (!existing || type === 'file') {
+      await publishFileEvent(existing ? 'updated' : 'created', file, {
+        path: filePath,
+        ...(existing && { changes: ['content'] }),
+        actorId: req.user._id
+      });
+    }
+
+    if (file.type === 'file') {
+      res.set('ETag', formatETag(file));
+    }
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: {
+        path: filePath,
+        file,
+        created: !existing,
+        message: `${type === 'file' ? 'File' : 'Folder'} ${existing ? 'updated' : 'created'} successfully`
+      }
+    });
+
+  } catch (error) {
+    console.error('Write path error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'WRITE_PATH_FAILED',
+        message: error.message || 'Failed to write path',
+        ...(error.current && { current: error.current })
+      }
+    });
+  }
+};
+
+/**
+ * Delete a file, or a folder recursively, by path
+ */
+const deletePath = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const segments = parseFilePath(req.params[0]);
+    const filePath = segments.join('/');
+
+    if (segments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PATH',
+          message: 'Cannot delete the project root'
+        }
+      });
+    }
+
+    const project = await getProjectForUser(id, req.user, 'editor');
+    const file = await resolveFilePath(project._id, segments);
+    if (!file) {
+      throw pathNotFoundError(filePath);
+    }
+
+    const { trashedFiles, trashedAt, purgeAt } = await trashFileTree(file, req.user._id);
+
+    await publishFileEvent('deleted', file, {
+      path: filePath,
+      deletedFiles: trashedFiles,
+      trashed: true,
+      actorId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        path: filePath,
+        message: `${file.type === 'file' ? 'File' : 'Folder'} moved to trash`,
+        trashedFiles,
+        trashedAt,
+        purgeAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete path error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'DELETE_PATH_FAILED',
+        message: error.message || 'Failed to delete path'
+      }
+    });
+  }
+};
+
+module.exports = {
+  readPath,
+  writePath,
+  deletePath
+};
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { handleDatabaseOperation } = require('../utils/database');
+const { getProjectForUser, findProjectById, isProjectOwner } = require('../utils/projectAccess');
+const { publishProjectChange } = require('../services/eventService');
+
+/**
+ * Shape a member entry for API responses
+ */
+const formatMember = (member, usersById) => {
+  const user = usersById.get(String(member.userId));
+  return {
+    userId: member.userId,
+    email: user ? user.email : null,
+    role: member.role,
+    status: member.status,
+    invitedBy: member.invitedBy,
+    invitedAt: member.invitedAt,
+    acceptedAt: member.acceptedAt
+  };
+};
+
+/**
+ * List the owner and members of a project
+ */
+const getMembers = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await getProjectForUser(id, req.user, 'viewer');
+
+    // Resolve emails for the owner and every member in one query
+    const userIds = project.members.map(member => member.userId);
+    if (mongoose.Types.ObjectId.isValid(project.userId)) {
+      userIds.push(project.userId);
+    }
+
+    const users = await handleDatabaseOperation(async () => {
+      return await User.find({ _id: { $in: userIds } }).select('email');
+    }, 'Failed to fetch project members');
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    const owner = usersById.get(String(project.userId));
+
+    res.json({
+      success: true,
+      data: {
+        owner: {
+          userId: project.userId,
+          email: owner ? owner.email : null,
+          role: 'owner'
+        },
+        members: project.members.map(member => formatMember(member, usersById)),
+        count: project.members.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get members error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_MEMBERS_FAILED',
+        message: error.message || 'Failed to fetch project members'
+      }
+    });
+  }
+};
+
+/**
+ * Invite a registered user to a project
+ */
+const inviteMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, role } = req.validatedData;
+
+    const project = await getProjectForUser(id, req.user, 'owner');
+
+    const invitee = await handleDatabaseOperation(async () => {
+      return await User.findOne({ email: email.toLowerCase() });
+    }, 'Failed to find invited user');
+
+    if (!invitee) {
+      const error = new Error(`No account exists for ${email}`);
+      error.statusCode = 404;
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    const alreadyMember = isProjectOwner(project, invitee) ||
+      project.members.some(member => String(member.userId) === String(invitee._id));
+
+    if (alreadyMember) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MEMBER_EXISTS',
+          message: `${email} is already a member of this project`
+        }
+      });
+    }
+
+    const member = {
+      userId: invitee._id,
+      role,
+      status: 'pending',
+      invitedBy: req.user._id,
+      invitedAt: new Date()
+    };
+
+    await handleDatabaseOperation(async () => {
+      await Project.updateOne({ _id: project._id }, { $push: { members: member } });
+    }, 'Failed to invite member');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        member: formatMember(member, new Map([[String(invitee._id), invitee]])),
+        message: 'Invitation sent successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Invite member error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INVITE_MEMBER_FAILED',
+        message: error.message || 'Failed to invite member'
+      }
+    });
+  }
+};
+
+/**
+ * Accept a pending invitation to a project
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await findProjectById(id);
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      error.code = 'PROJECT_NOT_FOUND';
+      throw error;
+    }
+
+    const result = await handleDatabaseOperation(async () => {
+      return await Project.updateOne(
+        {
+          _id: project._id,
+          members: { $elemMatch: { userId: req.user._id, status: 'pending' } }
+        },
+        {
+          $set: {
+            'members.$.status': 'active',
+            'members.$.acceptedAt': new Date()
+          }
+        }
+      );
+    }, 'Failed to accept invitation');
+
+    if (result.modifiedCount === 0) {
+      const error = new Error('No pending invitation for this project');
+      error.statusCode = 404;
+      error.code = 'INVITATION_NOT_FOUND';
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        projectId: project._id,
+        message: 'Invitation accepted successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'ACCEPT_INVITATION_FAILED',
+        message: error.message || 'Failed to accept invitation'
+      }
+    });
+  }
+};
+
+/**
+ * Remove a member (owners), or leave / decline an invitation (the member themselves)
+ */
+const removeMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const isSelf = userId === req.user._id.toString();
+
+    // Members can always remove themselves; removing others requires the owner role
+    const project = isSelf
+      ? await findProjectById(id)
+      : await getProjectForUser(id, req.user, 'owner');
+
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      error.code = 'PROJECT_NOT_FOUND';
+      throw error;
+    }
+
+    const member = project.members.find(m => String(m.userId) === userId);
+    if (!member) {
+      const error = new Error('Member not found');
+      error.statusCode = 404;
+      error.code = 'MEMBER_NOT_FOUND';
+      throw error;
+    }
+
+    await handleDatabaseOperation(async () => {
+      await Project.updateOne({ _id: project._id }, { $pull: { members: { userId: member.userId } } });
+    }, 'Failed to remove member');
+
+    // Open collaborative sessions re-check who may still edit
+    publishProjectChange('updated', project, { changes: ['members'], actorId: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        userId: member.userId,
+        message: isSelf ? 'You have left the project' : 'Member removed successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'REMOVE_MEMBER_FAILED',
+        message: error.message || 'Failed to remove member'
+      }
+    });
+  }
+};
+
+module.exports = {
+  getMembers,
+  inviteMember,
+  acceptInvitation,
+  removeMember
+};
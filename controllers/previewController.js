@@ -0,0 +1,172 @@
+const { getProjectForUser } = require('../utils/projectAccess');
+const { generatePreviewToken } = require('../utils/tokens');
+const { parseFilePath, resolveFilePath } = require('../utils/fileHierarchy');
+const { getMimeType } = require('../utils/mimeTypes');
+const storageService = require('../services/storageService');
+const { hashContent } = require('../services/revisionService');
+const { renderPreviewFile, renderCompileErrorModule } = require('../services/previewService');
+const previewConfig = require('../config/preview');
+
+/**
+ * Find the file a preview path refers to
+ * Paths are looked up in each web root; folders serve their index.html, and paths
+ * without an extension that match nothing fall back to the app's entry page.
+ */
+const resolvePreviewFile = async (projectId, segments) => {
+  const candidates = previewConfig.webRoots.map(root => [...parseFilePath(root), ...segments]);
+
+  for (const candidate of candidates) {
+    const file = candidate.length > 0 ? await resolveFilePath(projectId, candidate) : null;
+    if (file && file.type === 'file') {
+      return file;
+    }
+
+    // The root and folders serve their index.html
+    if (!file && candidate.length > 0) {
+      continue;
+    }
+    const index = await resolveFilePath(projectId, [...candidate, 'index.html']);
+    if (index && index.type === 'file') {
+      return index;
+    }
+  }
+
+  const lastSegment = segments[segments.length - 1] || '';
+  if (lastSegment.includes('.')) {
+    return null;
+  }
+
+  for (const fallbackPath of previewConfig.fallbackPaths) {
+    const file = await resolveFilePath(projectId, parseFilePath(fallbackPath));
+    if (file && file.type === 'file') {
+      return file;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Start a preview session for the authenticated caller
+ * The access token is exchanged for a short-lived preview token that only opens this
+ * project's preview, and the browser is redirected to the same path under
+ * /preview/:projectId/~<previewToken>/. Relative URLs in the page keep the token, so its
+ * own requests for scripts and styles are authenticated without cookies.
+ */
+const startPreviewSession = async (req, res) => {
+  try {
+    const project = await getProjectForUser(req.params.projectId, req.user, 'viewer');
+
+    const url = new URL(req.originalUrl, 'http://preview');
+    url.searchParams.delete('access_token');
+    const filePath = url.pathname.slice(`${req.baseUrl}/${req.params.projectId}/`.length);
+    const previewToken = generatePreviewToken(req.user, project._id);
+
+    res.set('Referrer-Policy', 'no-referrer');
+    res.redirect(302, `${req.baseUrl}/${project._id}/~${previewToken}/${filePath}${url.search}`);
+  } catch (error) {
+    console.error('Preview session error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'PREVIEW_FAILED',
+        message: error.message || 'Failed to start preview'
+      }
+    });
+  }
+};
+
+/**
+ * Give preview responses an opaque origin
+ * Project code must not run with the API's origin, where it could read other projects'
+ * previews or call the API. Sandboxed documents cannot send credentials, so module
+ * scripts are loaded through CORS without them, and the token in the URL is kept
+ * out of Referer headers sent to CDNs.
+ */
+const isolatePreview = (req, res, next) => {
+  res.removeHeader('Access-Control-Allow-Credentials');
+  res.set({
+    'Content-Security-Policy': 'sandbox allow-scripts allow-forms allow-modals allow-popups allow-downloads',
+    'Access-Control-Allow-Origin': '*',
+    'Referrer-Policy': 'no-referrer'
+  });
+  next();
+};
+
+/**
+ * Serve a project file by path for live previews
+ * JSX/TypeScript modules are compiled and their imports rewritten; stylesheets and
+ * other assets imported from modules (?import) are wrapped as modules.
+ * Responses are revalidated on every load: stored files use their version as the ETag,
+ * compiled output its content hash (it also depends on other files).
+ */
+const servePreviewFile = async (req, res) => {
+  try {
+    const { projectId, previewToken } = req.params;
+    const segments = parseFilePath(req.params[0]);
+
+    const project = await getProjectForUser(projectId, req.user, 'viewer');
+
+    const file = await resolvePreviewFile(project._id, segments);
+    if (!file) {
+      const error = new Error(`No file at "${segments.join('/')}"`);
+      error.statusCode = 404;
+      error.code = 'PATH_NOT_FOUND';
+      throw error;
+    }
+
+    res.set({
+      ETag: `"${file._id}-${file.version || 0}"`,
+      'Cache-Control': 'no-cache',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    let content = '';
+    try {
+      content = await storageService.getFile(file.s3Key);
+    } catch (storageError) {
+      console.log(`⚠️  Storage download failed for ${file.name}, serving empty content`);
+    }
+
+    const rendered = await renderPreviewFile(project, file, content, {
+      asModule: req.query.import !== undefined,
+      baseUrl: `${req.baseUrl}/${project._id}/~${previewToken}`
+    });
+    if (rendered) {
+      res.set('ETag', `"${hashContent(rendered.body)}"`);
+    }
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.type(rendered ? rendered.contentType : getMimeType(file.name));
+    res.send(rendered ? rendered.body : content);
+
+  } catch (error) {
+    // Scripts cannot show an error response, so a failed module reports itself in the page
+    if (error.code === 'COMPILE_ERROR' && req.get('Sec-Fetch-Dest') === 'script') {
+      res.set('Cache-Control', 'no-store');
+      res.removeHeader('ETag');
+      return res.type('application/javascript').send(renderCompileErrorModule(error));
+    }
+
+    console.error('Preview file error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'PREVIEW_FAILED',
+        message: error.message || 'Failed to serve preview file',
+        ...(error.details && { details: error.details })
+      }
+    });
+  }
+};
+
+module.exports = {
+  startPreviewSession,
+  isolatePreview,
+  servePreviewFile
+};
@@ -1,217 +1,85 @@
 const Project = require('../models/Project');
 const FileMetadata = require('../models/FileMetadata');
 const { handleDatabaseOperation } = require('../utils/database');
-const s3Service = require('../services/s3Service');
+const { getProjectForUser, accessDeniedError } = require('../utils/projectAccess');
+const { DEFAULT_TEMPLATE, getTemplate, applyTemplate } = require('../services/templateService');
+const { purgeProject } = require('../services/projectService');
+const { cloneFiles } = require('../services/fileService');
+const { trashProject } = require('../services/trashService');
+const { publishProjectChange } = require('../services/eventService');
 
 /**
- * Create a new project with default React files
+ * Create a new project from a template
  */
 const createProject = async (req, res) => {
+  let project = null;
+
   try {
-    const { name, description, userId } = req.validatedData;
+    const { name, description, template = DEFAULT_TEMPLATE } = req.validatedData;
+
+    // Reject unknown templates before creating anything
+    getTemplate(template);
 
-    // Create project (MongoDB will auto-generate ObjectId)
-    const project = await Project.create({
+    // Create project owned by the caller (MongoDB will auto-generate ObjectId)
+    project = await Project.create({
       name,
       description,
-      userId
+      userId: req.user._id,
+      template
     });
 
-    // Create default React files for the new project
-    const FileMetadata = require('../models/FileMetadata');
-    const s3Service = require('../services/s3Service');
-    // Simple UUID v4 replacement using crypto
-const uuidv4 = () => {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-};
-
-    const defaultFiles = [
-      {
-        name: 'App.js',
-        content: `import React from 'react';
-import './App.css';
-
-function App() {
-  return (
-    <div className="App">
-      <header className="App-header">
-        <h1>${name}</h1>
-        <p>Welcome to your new React project!</p>
-        <p>Start editing to see your changes live!</p>
-        <button className="demo-button" onClick={() => alert('Hello from ${name}!')}>
-          Click me!
-        </button>
-      </header>
-    </div>
-  );
-}
-
-export default App;`
-      },
-      {
-        name: 'App.css',
-        content: `.App {
-  text-align: center;
-}
-
-.App-header {
-  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-  padding: 40px;
-  color: white;
-  min-height: 60vh;
-  display: flex;
-  flex-direction: column;
-  align-items: center;
-  justify-content: center;
-  border-radius: 10px;
-  margin: 20px;
-  box-shadow: 0 10px 30px rgba(0,0,0,0.3);
-  animation: fadeIn 0.5s ease-in;
-}
-
-@keyframes fadeIn {
-  from { opacity: 0; transform: translateY(20px); }
-  to { opacity: 1; transform: translateY(0); }
-}
-
-.App-header h1 {
-  margin: 0 0 20px 0;
-  font-size: 2.5rem;
-  text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
-}
-
-.App-header p {
-  margin: 8px 0;
-  font-size: 1.1rem;
-  opacity: 0.9;
-}
-
-.demo-button {
-  background: #ff6b6b;
-  color: white;
-  border: none;
-  padding: 12px 24px;
-  border-radius: 25px;
-  font-size: 1rem;
-  cursor: pointer;
-  margin-top: 20px;
-  transition: all 0.3s ease;
-  box-shadow: 0 4px 15px rgba(255, 107, 107, 0.4);
-}
-
-.demo-button:hover {
-  background: #ff5252;
-  transform: translateY(-2px);
-  box-shadow: 0 6px 20px rgba(255, 107, 107, 0.6);
-}`
-      },
-      {
-        name: 'index.js',
-        content: `import React from 'react';
-import ReactDOM from 'react-dom/client';
-import App from './App';
-
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);`
-      }
-    ];
-
-    // Create each default file
-    for (const fileData of defaultFiles) {
-      try {
-        const fileId = uuidv4();
-        const s3Key = s3Service.generateS3Key(project._id, fileId, fileData.name);
-
-        // Upload to S3
-        try {
-          await s3Service.uploadFile(s3Key, fileData.content, getMimeType(fileData.name));
-        } catch (s3Error) {
-          console.log(`⚠️  S3 upload skipped for ${fileData.name} (development mode)`);
-        }
-
-        // Create file metadata
-        await FileMetadata.create({
-          projectId: project._id,
-          name: fileData.name,
-          type: 'file',
-          parentId: null,
-          s3Key,
-          size: Buffer.byteLength(fileData.content, 'utf8'),
-          mimeType: getMimeType(fileData.name)
-        });
-
-        console.log(`✅ Created default file: ${fileData.name}`);
-      } catch (fileError) {
-        console.error(`❌ Failed to create default file ${fileData.name}:`, fileError);
-      }
-    }
-
-    // Note: Default files will be created by the frontend to avoid conflicts
+    const files = await applyTemplate(project, template, { authorId: req.user._id });
 
     res.status(201).json({
       success: true,
       data: {
         project,
-        message: 'Project created successfully with default React files'
+        files: files.length,
+        message: `Project created successfully from the ${template} template`
       }
     });
 
   } catch (error) {
     console.error('Create project error:', error);
-    res.status(500).json({
+
+    // Don't leave a project with a partially applied template behind
+    if (project) {
+      try {
+        await purgeProject(project);
+      } catch (cleanupError) {
+        console.error('Failed to clean up partially created project:', cleanupError);
+      }
+    }
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
       success: false,
       error: {
-        code: 'PROJECT_CREATION_FAILED',
-        message: 'Failed to create project',
+        code: error.code || 'PROJECT_CREATION_FAILED',
+        message: error.statusCode ? error.message : 'Failed to create project',
         details: error.message
       }
     });
   }
 };
 
-/**
- * Helper function to determine MIME type from file name
- */
-function getMimeType(fileName) {
-  const extension = fileName.split('.').pop().toLowerCase();
-  const mimeTypes = {
-    'js': 'application/javascript',
-    'jsx': 'application/javascript',
-    'ts': 'application/typescript',
-    'tsx': 'application/typescript',
-    'css': 'text/css',
-    'html': 'text/html',
-    'htm': 'text/html',
-    'json': 'application/json',
-    'md': 'text/markdown',
-    'txt': 'text/plain',
-    'xml': 'application/xml',
-    'svg': 'image/svg+xml'
-  };
-
-  return mimeTypes[extension] || 'text/plain';
-}
-
 /**
  * Get projects by user ID
  */
 const getUserProjects = async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.params.userId || req.user._id.toString();
     const { sortBy = 'lastAccessedAt', order = 'desc', limit = 50 } = req.query;
 
+    // Callers may only list their own projects
+    if (userId !== req.user._id.toString()) {
+      throw accessDeniedError('You can only list your own projects');
+    }
+
     const sortOrder = order === 'asc' ? 1 : -1;
     const sortOptions = { [sortBy]: sortOrder };
 
-    const projects = await Project.find({ userId })
+    const projects = await Project.find({ userId: req.user._id })
       .sort(sortOptions)
       .limit(parseInt(limit))
       .select('-__v');
@@ -226,11 +94,12 @@ const getUserProjects = async (req, res) => {
 
   } catch (error) {
     console.error('Get user projects error:', error);
-    res.status(500).json({
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
       success: false,
       error: {
-        code: 'FETCH_PROJECTS_FAILED',
-        message: 'Failed to fetch projects',
+        code: error.code || 'FETCH_PROJECTS_FAILED',
+        message: error.statusCode ? error.message : 'Failed to fetch projects',
         details: error.message
       }
     });
@@ -238,40 +107,53 @@ const getUserProjects = async (req, res) => {
 };
 
 /**
- * Get specific project by ID
+ * Get projects shared with the caller (status=pending lists open invitations)
  */
-const getProject = async (req, res) => {
+const getSharedProjects = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { status, limit = 50 } = req.query;
+    const memberStatus = status === 'pending' ? 'pending' : 'active';
 
-    const mongoose = require('mongoose');
-    let project = null;
+    const projects = await Project.find({
+      members: { $elemMatch: { userId: req.user._id, status: memberStatus } }
+    })
+      .sort({ lastAccessedAt: -1 })
+      .limit(parseInt(limit))
+      .select('-__v');
 
-    // Try different approaches to find the project
-    try {
-      // Method 1: Try as ObjectId if it's valid format
-      if (mongoose.Types.ObjectId.isValid(id) && id.length === 24) {
-        project = await Project.findById(id).select('-__v');
+    res.json({
+      success: true,
+      data: {
+        projects: projects.map(project => ({
+          ...project.toObject(),
+          role: project.members.find(m => String(m.userId) === req.user._id.toString()).role
+        })),
+        count: projects.length
       }
+    });
 
-      // Method 2: If not found, try as string in _id field
-      if (!project) {
-        project = await Project.findOne({ _id: id }).select('-__v');
+  } catch (error) {
+    console.error('Get shared projects error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_PROJECTS_FAILED',
+        message: 'Failed to fetch shared projects',
+        details: error.message
       }
+    });
+  }
+};
 
-    } catch (castError) {
-      // If casting fails, try finding by string
-      project = await Project.findOne({ _id: id }).select('-__v');
-    }
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Project not found'
-        }
-      });
-    }
+/**
+ * Get specific project by ID
+ */
+const getProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Load the project and verify the caller can read it
+    const project = await getProjectForUser(id, req.user, 'viewer');
 
     // Update last accessed time
     try {
@@ -307,47 +189,18 @@ const updateProject = async (req, res) => {
     const { id } = req.params;
     const updateData = req.validatedData;
 
-    const mongoose = require('mongoose');
-    let project = null;
+    // Verify the caller can edit the project before updating it
+    const existingProject = await getProjectForUser(id, req.user, 'editor');
 
-    // Try different approaches to update the project
-    try {
-      // Method 1: Try as ObjectId if it's valid format
-      if (mongoose.Types.ObjectId.isValid(id) && id.length === 24) {
-        project = await Project.findByIdAndUpdate(
-          id,
-          { ...updateData, lastAccessedAt: new Date() },
-          { new: true, runValidators: true }
-        ).select('-__v');
-      }
-
-      // Method 2: If not found, try as string in _id field
-      if (!project) {
-        project = await Project.findOneAndUpdate(
-          { _id: id },
-          { ...updateData, lastAccessedAt: new Date() },
-          { new: true, runValidators: true }
-        ).select('-__v');
-      }
-
-    } catch (castError) {
-      // If casting fails, try updating by string
-      project = await Project.findOneAndUpdate(
-        { _id: id },
+    const project = await handleDatabaseOperation(async () => {
+      return await Project.findByIdAndUpdate(
+        existingProject._id,
         { ...updateData, lastAccessedAt: new Date() },
         { new: true, runValidators: true }
       ).select('-__v');
-    }
+    }, 'Failed to update project');
 
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'PROJECT_NOT_FOUND',
-          message: 'Project not found'
-        }
-      });
-    }
+    publishProjectChange('updated', project, { changes: Object.keys(updateData), actorId: req.user._id });
 
     res.json({
       success: true,
@@ -371,92 +224,26 @@ const updateProject = async (req, res) => {
 };
 
 /**
- * Delete project and all associated files
+ * Move a project to the trash (it can be restored until it is purged)
  */
 const deleteProject = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // First, get the project to ensure it exists
-    const project = await handleDatabaseOperation(async () => {
-      const mongoose = require('mongoose');
-      let proj = null;
-
-      // Try different approaches to find the project
-      try {
-        // Method 1: Try as ObjectId if it's valid format
-        if (mongoose.Types.ObjectId.isValid(id) && id.length === 24) {
-          proj = await Project.findById(id);
-        }
-
-        // Method 2: If not found, try as string in _id field
-        if (!proj) {
-          proj = await Project.findOne({ _id: id });
-        }
-
-      } catch (castError) {
-        // If casting fails, try finding by string
-        proj = await Project.findOne({ _id: id });
-      }
-      if (!proj) {
-        const error = new Error('Project not found');
-        error.statusCode = 404;
-        error.code = 'PROJECT_NOT_FOUND';
-        throw error;
-      }
-      return proj;
-    }, 'Failed to find project for deletion');
-
-    // Get all files associated with the project
-    const files = await handleDatabaseOperation(async () => {
-      return await FileMetadata.find({ projectId: id });
-    }, 'Failed to fetch project files for deletion');
+    // First, get the project and verify the caller is an owner
+    const project = await getProjectForUser(id, req.user, 'owner');
 
-    // Delete all files from S3
-    const s3Keys = files
-      .filter(file => file.s3Key) // Only files have s3Key, not folders
-      .map(file => file.s3Key);
+    const { trashedAt, purgeAt } = await trashProject(project, req.user._id);
 
-    if (s3Keys.length > 0) {
-      try {
-        await s3Service.deleteFiles(s3Keys);
-      } catch (s3Error) {
-        console.error('S3 deletion error (continuing with database cleanup):', s3Error);
-        // Continue with database cleanup even if S3 fails
-      }
-    }
-
-    // Delete all file metadata from database
-    await handleDatabaseOperation(async () => {
-      await FileMetadata.deleteMany({ projectId: id });
-    }, 'Failed to delete project files from database');
-
-    // Delete the project
-    await handleDatabaseOperation(async () => {
-      const mongoose = require('mongoose');
-
-      // Try different approaches to delete the project
-      try {
-        // Method 1: Try as ObjectId if it's valid format
-        if (mongoose.Types.ObjectId.isValid(id) && id.length === 24) {
-          await Project.findByIdAndDelete(id);
-        } else {
-          // Method 2: Delete by string _id
-          await Project.findOneAndDelete({ _id: id });
-        }
-
-      } catch (castError) {
-        // If casting fails, try deleting by string
-        await Project.findOneAndDelete({ _id: id });
-      }
-    }, 'Failed to delete project');
+    // Subscribers treat a trashed project as deleted
+    publishProjectChange('deleted', project, { trashed: true, actorId: req.user._id });
 
     res.json({
       success: true,
       data: {
-        message: 'Project and all associated files deleted successfully',
-        deletedFiles: files.length,
-        deletedS3Objects: s3Keys.length
+        message: 'Project moved to trash',
+        trashedAt,
+        purgeAt
       }
     });
 
@@ -474,152 +261,74 @@ const deleteProject = async (req, res) => {
 };
 
 /**
- * Helper function to create default React project files
+ * Fork a project: copy it and all of its files into a new project owned by the caller
  */
-async function createDefaultProjectFiles(projectId) {
-  const defaultFiles = [
-    {
-      name: 'src',
-      type: 'folder',
-      parentId: null
-    },
-    {
-      name: 'public',
-      type: 'folder',
-      parentId: null
-    }
-  ];
-
-  // Create folders first
-  const createdFolders = {};
-  for (const folder of defaultFiles) {
-    const fileMetadata = await FileMetadata.create({
-      projectId,
-      name: folder.name,
-      type: folder.type,
-      parentId: folder.parentId
+const forkProject = async (req, res) => {
+  let fork = null;
+
+  try {
+    const { id } = req.params;
+    const { name, description } = req.validatedData;
+
+    // Anyone who can read a project can fork it
+    const source = await getProjectForUser(id, req.user, 'viewer');
+
+    const sourceFiles = await handleDatabaseOperation(async () => {
+      return await FileMetadata.find({ projectId: source._id });
+    }, 'Failed to fetch project files for fork');
+
+    fork = await Project.create({
+      name: name || `${source.name} (fork)`.slice(0, 100),
+      description: description !== undefined ? description : source.description,
+      userId: req.user._id,
+      template: source.template,
+      forkedFrom: source._id
     });
-    createdFolders[folder.name] = fileMetadata._id;
-  }
 
-  // Create default files with content
-  const defaultFilesWithContent = [
-    {
-      name: 'App.js',
-      type: 'file',
-      parentId: createdFolders['src'],
-      content: `import React from 'react';
-import './App.css';
-
-function App() {
-  return (
-    <div className="App">
-      <header className="App-header">
-        <h1>Welcome to CipherStudio</h1>
-        <p>Start editing to see your changes live!</p>
-      </header>
-    </div>
-  );
-}
-
-export default App;`
-    },
-    {
-      name: 'App.css',
-      type: 'file',
-      parentId: createdFolders['src'],
-      content: `.App {
-  text-align: center;
-}
-
-.App-header {
-  background-color: #282c34;
-  padding: 20px;
-  color: white;
-  min-height: 50vh;
-  display: flex;
-  flex-direction: column;
-  align-items: center;
-  justify-content: center;
-}
-
-.App-header h1 {
-  margin-bottom: 16px;
-}
-
-.App-header p {
-  font-size: 18px;
-}`
-    },
-    {
-      name: 'index.js',
-      type: 'file',
-      parentId: createdFolders['src'],
-      content: `import React from 'react';
-import ReactDOM from 'react-dom/client';
-import App from './App';
-
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);`
-    },
-    {
-      name: 'index.html',
-      type: 'file',
-      parentId: createdFolders['public'],
-      content: `<!DOCTYPE html>
-<html lang="en">
-  <head>
-    <meta charset="utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>CipherStudio Project</title>
-  </head>
-  <body>
-    <noscript>You need to enable JavaScript to run this app.</noscript>
-    <div id="root"></div>
-  </body>
-</html>`
-    }
-  ];
+    const files = await cloneFiles(sourceFiles, {
+      projectId: fork._id,
+      authorId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        project: fork,
+        files: files.filter(file => file.type === 'file').length,
+        folders: files.filter(file => file.type === 'folder').length,
+        message: 'Project forked successfully'
+      }
+    });
 
-  // Create files with S3 storage
-  for (const file of defaultFilesWithContent) {
-    const s3Key = s3Service.generateS3Key(projectId, 'default', file.name);
+  } catch (error) {
+    console.error('Fork project error:', error);
 
-    try {
-      // Upload content to S3 (will fail gracefully in development without AWS)
+    // Never leave a half-copied fork behind
+    if (fork) {
       try {
-        await s3Service.uploadFile(s3Key, file.content, 'text/plain');
-      } catch (s3Error) {
-        console.log(`⚠️  S3 upload skipped for ${file.name} (development mode)`);
+        await purgeProject(fork);
+      } catch (cleanupError) {
+        console.error('Failed to clean up partially forked project:', cleanupError);
       }
-
-      // Create file metadata
-      await FileMetadata.create({
-        projectId,
-        name: file.name,
-        type: file.type,
-        parentId: file.parentId,
-        s3Key,
-        size: Buffer.byteLength(file.content, 'utf8'),
-        mimeType: file.name.endsWith('.js') ? 'application/javascript' :
-          file.name.endsWith('.css') ? 'text/css' :
-            file.name.endsWith('.html') ? 'text/html' : 'text/plain'
-      });
-    } catch (error) {
-      console.error(`Failed to create default file ${file.name}:`, error);
-      // Continue creating other files even if one fails
     }
+
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FORK_PROJECT_FAILED',
+        message: error.message || 'Failed to fork project'
+      }
+    });
   }
-}
+};
 
 module.exports = {
   createProject,
   getUserProjects,
+  getSharedProjects,
   getProject,
   updateProject,
-  deleteProject
+  deleteProject,
+  forkProject
 };
\ No newline at end of file
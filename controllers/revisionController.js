@@ -0,0 +1,208 @@
+const { getFileForUser } = require('../utils/projectAccess');
+const { saveFileContent } = require('../services/fileService');
+const { publishFileEvent } = require('../services/eventService');
+const {
+  listRevisions,
+  getRevision,
+  getRevisionContent,
+  createRevisionDiff
+} = require('../services/revisionService');
+
+/**
+ * Parse a revision number from params/query
+ */
+const parseRevisionNumber = (value, name = 'revision') => {
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 1) {
+    const error = new Error(`Invalid ${name} number`);
+    error.statusCode = 400;
+    error.code = 'INVALID_REVISION';
+    throw error;
+  }
+  return revision;
+};
+
+/**
+ * Revisions only exist for files, not folders
+ */
+const assertIsFile = (file) => {
+  if (file.type === 'folder') {
+    const error = new Error('Folders do not have revisions');
+    error.statusCode = 400;
+    error.code = 'INVALID_OPERATION';
+    throw error;
+  }
+};
+
+/**
+ * List a file's revisions, newest first
+ */
+const getFileRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { file } = await getFileForUser(id, req.user, 'viewer');
+    assertIsFile(file);
+
+    const revisions = await listRevisions(file._id);
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file._id,
+        revisions,
+        count: revisions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get file revisions error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_REVISIONS_FAILED',
+        message: error.message || 'Failed to fetch revisions'
+      }
+    });
+  }
+};
+
+/**
+ * Get a single revision with its content
+ */
+const getFileRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+
+    const { file } = await getFileForUser(id, req.user, 'viewer');
+    assertIsFile(file);
+
+    const revision = await getRevision(file._id, revisionNumber);
+    const content = await getRevisionContent(revision);
+
+    res.json({
+      success: true,
+      data: {
+        revision: {
+          ...revision.toObject(),
+          content
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get file revision error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_REVISION_FAILED',
+        message: error.message || 'Failed to fetch revision'
+      }
+    });
+  }
+};
+
+/**
+ * Unified diff between two revisions (?from=&to=, "to" defaults to the latest)
+ */
+const diffFileRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fromNumber = parseRevisionNumber(req.query.from, 'from revision');
+
+    const { file } = await getFileForUser(id, req.user, 'viewer');
+    assertIsFile(file);
+
+    const fromRevision = await getRevision(file._id, fromNumber);
+
+    let toRevision;
+    if (req.query.to !== undefined) {
+      toRevision = await getRevision(file._id, parseRevisionNumber(req.query.to, 'to revision'));
+    } else {
+      [toRevision] = await listRevisions(file._id);
+    }
+
+    const [fromContent, toContent] = await Promise.all([
+      getRevisionContent(fromRevision),
+      getRevisionContent(toRevision)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file._id,
+        from: fromRevision.revision,
+        to: toRevision.revision,
+        diff: createRevisionDiff(file.name, fromRevision.revision, fromContent, toRevision.revision, toContent)
+      }
+    });
+
+  } catch (error) {
+    console.error('Diff file revisions error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'DIFF_REVISIONS_FAILED',
+        message: error.message || 'Failed to diff revisions'
+      }
+    });
+  }
+};
+
+/**
+ * Restore a revision as the file's current content (recorded as a new revision)
+ */
+const restoreFileRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+
+    const { file } = await getFileForUser(id, req.user, 'editor');
+    assertIsFile(file);
+
+    const revision = await getRevision(file._id, revisionNumber);
+    const content = await getRevisionContent(revision);
+
+    const { file: updatedFile, revision: newRevision } = await saveFileContent(file, content, {
+      authorId: req.user._id
+    });
+
+    await publishFileEvent('updated', updatedFile, {
+      changes: ['content'],
+      restoredFrom: revision.revision,
+      actorId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        file: updatedFile,
+        revision: newRevision,
+        restoredFrom: revision.revision,
+        message: `Revision ${revision.revision} restored successfully`
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore file revision error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'RESTORE_REVISION_FAILED',
+        message: error.message || 'Failed to restore revision'
+      }
+    });
+  }
+};
+
+module.exports = {
+  getFileRevisions,
+  getFileRevision,
+  diffFileRevisions,
+  restoreFileRevision
+};
@@ -0,0 +1,98 @@
+const { getProjectForUser } = require('../utils/projectAccess');
+const { searchProject } = require('../services/searchService');
+const { previewReplace, applyReplace } = require('../services/replaceService');
+const { publishFileEvent } = require('../services/eventService');
+
+/**
+ * Search the contents of a project's files
+ */
+const searchProjectFiles = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await getProjectForUser(id, req.user, 'viewer');
+
+    const result = await searchProject(project, req.validatedQuery);
+
+    res.json({
+      success: true,
+      data: {
+        query: req.validatedQuery.q,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Search project error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'SEARCH_FAILED',
+        message: error.message || 'Failed to search project'
+      }
+    });
+  }
+};
+
+/**
+ * Find and replace across a project's files
+ * Without `apply` this returns a preview; with `apply` the selected files are changed.
+ */
+const replaceInProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { apply, files, ...options } = req.validatedData;
+
+    const project = await getProjectForUser(id, req.user, apply ? 'editor' : 'viewer');
+
+    if (!apply) {
+      const preview = await previewReplace(project, options);
+      return res.json({
+        success: true,
+        data: {
+          applied: false,
+          ...preview
+        }
+      });
+    }
+
+    const results = await applyReplace(project, options, files, { authorId: req.user._id });
+
+    const applied = results.filter(result => result.status === 'applied');
+    for (const result of applied) {
+      await publishFileEvent('updated', result.file, {
+        path: result.path,
+        changes: ['content'],
+        actorId: req.user._id
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        applied: true,
+        results,
+        totalFiles: applied.length,
+        totalReplacements: applied.reduce((total, result) => total + result.replacements, 0),
+        message: `Replaced in ${applied.length} of ${results.length} files`
+      }
+    });
+
+  } catch (error) {
+    console.error('Replace in project error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'REPLACE_FAILED',
+        message: error.message || 'Failed to replace in project'
+      }
+    });
+  }
+};
+
+module.exports = {
+  searchProjectFiles,
+  replaceInProject
+};
@@ -0,0 +1,261 @@
+const FileMetadata = require('../models/FileMetadata');
+const { handleDatabaseOperation } = require('../utils/database');
+const { getProjectForUser } = require('../utils/projectAccess');
+const { buildFileTree, buildPathMap } = require('../utils/fileHierarchy');
+const storageService = require('../services/storageService');
+const { createShareLink, listShareLinks, revokeShareLink } = require('../services/shareService');
+
+/**
+ * Shape a shared project for anonymous readers (no owner or member details)
+ */
+const formatSharedProject = (project) => ({
+  _id: project._id,
+  name: project.name,
+  description: project.description,
+  template: project.template,
+  createdAt: project.createdAt,
+  updatedAt: project.updatedAt
+});
+
+/**
+ * Create a read-only share link (owner only)
+ */
+const createProjectShareLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label, expiresInDays } = req.validatedData;
+
+    const project = await getProjectForUser(id, req.user, 'owner');
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : (req.validatedData.expiresAt || null);
+
+    const { shareLink, token } = await createShareLink(project, { label, expiresAt }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        shareLink,
+        // The token cannot be retrieved again
+        token,
+        url: `${req.protocol}://${req.get('host')}/api/shared/${token}`,
+        message: 'Share link created successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Create share link error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'CREATE_SHARE_LINK_FAILED',
+        message: error.message || 'Failed to create share link'
+      }
+    });
+  }
+};
+
+/**
+ * List a project's share links (owner only)
+ */
+const getProjectShareLinks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { includeInactive } = req.validatedQuery;
+
+    const project = await getProjectForUser(id, req.user, 'owner');
+
+    const shareLinks = await listShareLinks(project._id, { includeInactive });
+
+    res.json({
+      success: true,
+      data: {
+        shareLinks,
+        count: shareLinks.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get share links error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_SHARE_LINKS_FAILED',
+        message: error.message || 'Failed to fetch share links'
+      }
+    });
+  }
+};
+
+/**
+ * Revoke a share link (owner only)
+ */
+const revokeProjectShareLink = async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+
+    const project = await getProjectForUser(id, req.user, 'owner');
+
+    const shareLink = await revokeShareLink(project._id, linkId);
+
+    res.json({
+      success: true,
+      data: {
+        shareLink,
+        message: 'Share link revoked successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'REVOKE_SHARE_LINK_FAILED',
+        message: error.message || 'Failed to revoke share link'
+      }
+    });
+  }
+};
+
+/**
+ * Get the project behind a share link
+ */
+const getSharedProject = async (req, res) => {
+  try {
+    const { project, shareLink } = req;
+
+    res.json({
+      success: true,
+      data: {
+        project: formatSharedProject(project),
+        shareLink: {
+          label: shareLink.label,
+          expiresAt: shareLink.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shared project error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_SHARED_PROJECT_FAILED',
+        message: error.message || 'Failed to fetch shared project'
+      }
+    });
+  }
+};
+
+/**
+ * Get the file tree of a shared project
+ */
+const getSharedTree = async (req, res) => {
+  try {
+    const { project } = req;
+
+    const files = await handleDatabaseOperation(async () => {
+      return await FileMetadata.find({ projectId: project._id })
+        .sort({ type: 1, name: 1 }) // Folders first, then files, alphabetically
+        .select('-__v -s3Key');
+    }, 'Failed to fetch project files');
+
+    res.json({
+      success: true,
+      data: {
+        tree: buildFileTree(files),
+        count: files.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shared tree error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_SHARED_TREE_FAILED',
+        message: error.message || 'Failed to fetch shared project files'
+      }
+    });
+  }
+};
+
+/**
+ * Get a file of a shared project with its content
+ */
+const getSharedFile = async (req, res) => {
+  try {
+    const { project } = req;
+    const { fileId } = req.params;
+
+    const files = await handleDatabaseOperation(async () => {
+      return await FileMetadata.find({ projectId: project._id });
+    }, 'Failed to fetch project files');
+
+    const file = files.find(item => item._id.toString() === fileId);
+    if (!file) {
+      const error = new Error('File not found');
+      error.statusCode = 404;
+      error.code = 'FILE_NOT_FOUND';
+      throw error;
+    }
+
+    if (file.type === 'folder') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_OPERATION',
+          message: 'Cannot get content of a folder'
+        }
+      });
+    }
+
+    let content = '';
+    try {
+      content = await storageService.getFile(file.s3Key);
+    } catch (storageError) {
+      console.log(`⚠️  Storage download failed for ${file.name}, returning empty content`);
+    }
+
+    const { s3Key, __v, ...metadata } = file.toObject();
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        file: {
+          ...metadata,
+          path: buildPathMap(files).get(fileId),
+          content
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shared file error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_SHARED_FILE_FAILED',
+        message: error.message || 'Failed to fetch shared file'
+      }
+    });
+  }
+};
+
+module.exports = {
+  createProjectShareLink,
+  getProjectShareLinks,
+  revokeProjectShareLink,
+  getSharedProject,
+  getSharedTree,
+  getSharedFile
+};
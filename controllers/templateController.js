@@ -0,0 +1,33 @@
+const { listTemplates } = require('../services/templateService');
+
+/**
+ * List available project templates
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const templates = listTemplates();
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        count: templates.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_TEMPLATES_FAILED',
+        message: 'Failed to fetch templates',
+        details: error.message
+      }
+    });
+  }
+};
+
+module.exports = {
+  getTemplates
+};
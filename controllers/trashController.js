@@ -0,0 +1,229 @@
+const Project = require('../models/Project');
+const { handleDatabaseOperation } = require('../utils/database');
+const { getProjectForUser } = require('../utils/projectAccess');
+const {
+  listTrashedFiles,
+  restoreFileTree,
+  purgeFileTree,
+  listTrashedProjects,
+  restoreProject,
+  purgeTrashedProject
+} = require('../services/trashService');
+const { publishFileEvent, publishProjectChange } = require('../services/eventService');
+
+/**
+ * List the caller's trash: trashed projects they have the owner role on, and trashed files
+ * of projects they can edit
+ */
+const getTrash = async (req, res) => {
+  try {
+    const projects = await listTrashedProjects(req.user);
+
+    const editableProjects = await handleDatabaseOperation(async () => {
+      return await Project.find({
+        $or: [
+          { userId: req.user._id },
+          { members: { $elemMatch: { userId: req.user._id, status: 'active', role: { $in: ['editor', 'owner'] } } } }
+        ]
+      }).select('name');
+    }, 'Failed to fetch projects');
+
+    const projectNames = new Map(editableProjects.map(project => [project._id.toString(), project.name]));
+    const files = await listTrashedFiles(editableProjects.map(project => project._id));
+
+    res.json({
+      success: true,
+      data: {
+        projects,
+        files: files.map(file => ({ ...file, projectName: projectNames.get(file.projectId.toString()) })),
+        count: projects.length + files.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_TRASH_FAILED',
+        message: error.message || 'Failed to fetch trash'
+      }
+    });
+  }
+};
+
+/**
+ * Restore a trashed project (owner only)
+ */
+const restoreTrashedProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await restoreProject(id, req.user);
+
+    publishProjectChange('restored', project, { actorId: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        project,
+        message: 'Project restored successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore project error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'RESTORE_PROJECT_FAILED',
+        message: error.message || 'Failed to restore project'
+      }
+    });
+  }
+};
+
+/**
+ * Permanently delete a trashed project with all its files (owner only)
+ */
+const deleteTrashedProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { deletedFiles, deletedS3Objects } = await purgeTrashedProject(id, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Project and all associated files permanently deleted',
+        deletedFiles,
+        deletedS3Objects
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete trashed project error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'DELETE_PROJECT_FAILED',
+        message: error.message || 'Failed to delete project'
+      }
+    });
+  }
+};
+
+/**
+ * List a project's trashed files and folders
+ */
+const getProjectTrash = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await getProjectForUser(id, req.user, 'viewer');
+
+    const files = await listTrashedFiles([project._id]);
+
+    res.json({
+      success: true,
+      data: {
+        files,
+        count: files.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get project trash error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'FETCH_TRASH_FAILED',
+        message: error.message || 'Failed to fetch project trash'
+      }
+    });
+  }
+};
+
+/**
+ * Restore a trashed file or folder with everything trashed along with it
+ */
+const restoreTrashedFile = async (req, res) => {
+  try {
+    const { id, fileId } = req.params;
+
+    const project = await getProjectForUser(id, req.user, 'editor');
+
+    const { file, restoredFiles, renamedFrom } = await restoreFileTree(project, fileId);
+
+    await publishFileEvent('created', file, { restoredFiles, actorId: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        file,
+        restoredFiles,
+        renamedFrom,
+        message: renamedFrom
+          ? `Restored as "${file.name}" because "${renamedFrom}" already exists`
+          : `${file.type === 'file' ? 'File' : 'Folder'} restored successfully`
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore file error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'RESTORE_FILE_FAILED',
+        message: error.message || 'Failed to restore file'
+      }
+    });
+  }
+};
+
+/**
+ * Permanently delete a trashed file or folder with its content and revisions
+ */
+const deleteTrashedFile = async (req, res) => {
+  try {
+    const { id, fileId } = req.params;
+
+    const project = await getProjectForUser(id, req.user, 'editor');
+
+    const { deletedFiles, deletedS3Objects } = await purgeFileTree(project._id, fileId);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Permanently deleted from trash',
+        deletedFiles,
+        deletedS3Objects
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete trashed file error:', error);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'DELETE_FILE_FAILED',
+        message: error.message || 'Failed to delete file'
+      }
+    });
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreTrashedProject,
+  deleteTrashedProject,
+  getProjectTrash,
+  restoreTrashedFile,
+  deleteTrashedFile
+};
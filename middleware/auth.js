@@ -0,0 +1,115 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyAccessToken, verifyPreviewToken } = require('../utils/tokens');
+const { resolveShareToken } = require('../services/shareService');
+
+/**
+ * Extract bearer token from the Authorization header
+ */
+const getRequestToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    return token;
+  }
+
+  return null;
+};
+
+/**
+ * Build the error for a request without credentials
+ */
+const authRequiredError = () => {
+  const error = new Error('Authentication required');
+  error.statusCode = 401;
+  error.code = 'AUTH_REQUIRED';
+  return error;
+};
+
+/**
+ * Load the user a verified token payload belongs to
+ */
+const getPayloadUser = async (payload) => {
+  const user = await User.findById(payload.sub);
+
+  // Tokens issued before logout carry a stale version
+  if (!user || payload.version !== user.tokenVersion) {
+    throw new jwt.JsonWebTokenError('Token is no longer valid');
+  }
+
+  return user;
+};
+
+/**
+ * Resolve the user an access token belongs to
+ */
+const getTokenUser = async (token) => {
+  if (!token) {
+    throw authRequiredError();
+  }
+
+  return getPayloadUser(verifyAccessToken(token));
+};
+
+/**
+ * Require a valid access token and attach the caller to req.user
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    req.user = await getTokenUser(getRequestToken(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept the access token from ?access_token= for clients that cannot set headers
+ * (EventSource). Only mount this on routes that need it, before authenticate.
+ */
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * Authenticate a live preview request from the preview token in its URL
+ * (/preview/:projectId/~:previewToken/...) and attach the caller to req.user.
+ * The token only opens the project in req.params.projectId.
+ */
+const authenticatePreview = async (req, res, next) => {
+  try {
+    const { previewToken, projectId } = req.params;
+    req.user = await getPayloadUser(verifyPreviewToken(previewToken, projectId));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Grant read-only access through a share link token in the URL
+ * Attaches req.shareLink and req.project.
+ */
+const authenticateShareLink = async (req, res, next) => {
+  try {
+    const { shareLink, project } = await resolveShareToken(req.params.token);
+    req.shareLink = shareLink;
+    req.project = project;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  authenticateShareLink,
+  allowQueryToken,
+  authenticatePreview,
+  getRequestToken,
+  getTokenUser
+};
@@ -0,0 +1,45 @@
+const multer = require('multer');
+const archiveConfig = require('../config/archive');
+
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: archiveConfig.maxArchiveSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const isZip = /\.zip$/i.test(file.originalname) ||
+      ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype);
+    cb(null, isZip);
+  }
+});
+
+/**
+ * Accept a single ZIP archive upload in the given multipart field
+ */
+const uploadArchive = (fieldName = 'archive') => {
+  const handler = archiveUpload.single(fieldName);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: {
+          code: tooLarge ? 'ARCHIVE_TOO_LARGE' : 'INVALID_UPLOAD',
+          message: tooLarge
+            ? `Archive exceeds the ${archiveConfig.maxArchiveSize} byte limit`
+            : err.message
+        }
+      });
+    });
+  };
+};
+
+module.exports = {
+  uploadArchive
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const fileContentSchema = new mongoose.Schema({
+  // Same key the other storage drivers use (FileMetadata.s3Key)
+  key: {
+    type: String,
+    required: [true, 'Storage key is required'],
+    unique: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  contentType: {
+    type: String,
+    default: 'text/plain'
+  },
+  size: {
+    type: Number,
+    default: 0,
+    min: [0, 'File size cannot be negative']
+  },
+  etag: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FileContent', fileContentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const trashable = require('./plugins/trashable');
 
 const fileMetadataSchema = new mongoose.Schema({
   projectId: {
@@ -10,7 +11,12 @@ const fileMetadataSchema = new mongoose.Schema({
     type: String,
     required: [true, 'File name is required'],
     trim: true,
-    maxlength: [255, 'File name cannot exceed 255 characters']
+    maxlength: [255, 'File name cannot exceed 255 characters'],
+    // A name is one path segment; "/" in a name would make its path collide with another item's
+    validate: {
+      validator: name => !/[/\\]/.test(name) && name !== '.' && name !== '..',
+      message: 'File name cannot contain "/" or "\\", or be "." or ".."'
+    }
   },
   type: {
     type: String,
@@ -23,6 +29,15 @@ const fileMetadataSchema = new mongoose.Schema({
     ref: 'FileMetadata',
     default: null // null for root level files/folders
   },
+  // Materialized hierarchy: folder IDs from the root down to the parent, and the full
+  // "src/components/App.js" path. Kept in step by syncHierarchy on rename and move.
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileMetadata'
+  }],
+  path: {
+    type: String
+  },
   s3Key: {
     type: String,
     // Only files have s3Key, folders don't store content
@@ -38,6 +53,22 @@ const fileMetadataSchema = new mongoose.Schema({
   mimeType: {
     type: String,
     default: 'text/plain'
+  },
+  // Incremented on every content save; exposed as the file's ETag
+  version: {
+    type: Number,
+    default: 0,
+    min: [0, 'Version cannot be negative']
+  },
+  // sha256 of the current content
+  contentHash: {
+    type: String
+  },
+  // Item the user trashed, shared by everything trashed along with it (see trashable)
+  trashRootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileMetadata',
+    default: null
   }
 }, {
   timestamps: true
@@ -45,8 +76,15 @@ const fileMetadataSchema = new mongoose.Schema({
 
 // Indexes for efficient queries
 fileMetadataSchema.index({ projectId: 1, parentId: 1 });
+fileMetadataSchema.index({ ancestors: 1 });
+fileMetadataSchema.index({ projectId: 1, path: 1 });
 fileMetadataSchema.index({ projectId: 1, type: 1 });
 fileMetadataSchema.index({ s3Key: 1 }, { sparse: true });
+fileMetadataSchema.index({ projectId: 1, trashRootId: 1 });
+fileMetadataSchema.index({ trashedAt: 1 });
+
+// Trashed files and folders are hidden until restored or purged
+fileMetadataSchema.plugin(trashable);
 
 // Validate that folders don't have s3Key
 fileMetadataSchema.pre('save', function(next) {
@@ -63,34 +101,80 @@ fileMetadataSchema.pre('save', function(next) {
   next();
 });
 
+// New files and folders take their ancestors and path from their parent
+fileMetadataSchema.pre('save', async function() {
+  if (this.isNew && this.path === undefined) {
+    const { ancestors, path } = await this.constructor.resolveHierarchy(this.parentId, this.name);
+    this.ancestors = ancestors;
+    this.path = path;
+  }
+});
+
+// Static method to get the ancestors and path of an item placed under a parent
+// (items whose parent no longer exists are treated as root-level entries)
+fileMetadataSchema.statics.resolveHierarchy = async function(parentId, name) {
+  const parent = parentId
+    ? await this.findById(parentId).withTrashed().select('ancestors path')
+    : null;
+
+  if (!parent) {
+    return { ancestors: [], path: name };
+  }
+
+  return {
+    ancestors: [...parent.ancestors, parent._id],
+    path: `${parent.path}/${name}`
+  };
+};
+
+// Static method to recompute an item's ancestors and path after a rename or move,
+// along with everything below it (trashed items included, so they restore to the right place)
+fileMetadataSchema.statics.syncHierarchy = async function(file) {
+  const fileId = file._id.toString();
+  const { ancestors, path } = await this.resolveHierarchy(file.parentId, file.name);
+
+  const descendants = file.type === 'folder'
+    ? await this.find({ ancestors: file._id }).withTrashed().select('name parentId')
+    : [];
+  const descendantMap = new Map(descendants.map(item => [item._id.toString(), item]));
+
+  // Descendants are placed through their parent links, so stale entries are repaired too
+  const placed = new Map([[fileId, { ancestors, path }]]);
+  const place = (item) => {
+    const itemId = item._id.toString();
+    if (!placed.has(itemId)) {
+      placed.set(itemId, null);
+      const parentId = String(item.parentId);
+      const parentPlace = descendantMap.has(parentId) ? place(descendantMap.get(parentId)) : placed.get(parentId);
+      placed.set(itemId, parentPlace && {
+        ancestors: [...parentPlace.ancestors, item.parentId],
+        path: `${parentPlace.path}/${item.name}`
+      });
+    }
+    return placed.get(itemId);
+  };
+  descendants.forEach(place);
+
+  const updates = [...placed.entries()]
+    .filter(([, placement]) => placement)
+    .map(([itemId, placement]) => ({
+      updateOne: { filter: { _id: itemId }, update: placement }
+    }));
+  await this.bulkWrite(updates);
+
+  file.ancestors = ancestors;
+  file.path = path;
+  return file;
+};
+
 // Static method to find all children of a folder (recursive)
 fileMetadataSchema.statics.findAllChildren = async function(parentId) {
-  const children = await this.find({ parentId });
-  let allChildren = [...children];
-  
-  for (const child of children) {
-    if (child.type === 'folder') {
-      const grandChildren = await this.findAllChildren(child._id);
-      allChildren = allChildren.concat(grandChildren);
-    }
-  }
-  
-  return allChildren;
+  return await this.find({ ancestors: parentId });
 };
 
 // Instance method to get full path
 fileMetadataSchema.methods.getFullPath = async function() {
-  if (!this.parentId) {
-    return this.name;
-  }
-  
-  const parent = await this.constructor.findById(this.parentId);
-  if (!parent) {
-    return this.name;
-  }
-  
-  const parentPath = await parent.getFullPath();
-  return `${parentPath}/${this.name}`;
+  return this.path;
 };
 
 module.exports = mongoose.model('FileMetadata', fileMetadataSchema);
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const fileRevisionSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileMetadata',
+    required: [true, 'File ID is required']
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required']
+  },
+  // The file version this content was saved as (unique per file)
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: [1, 'Revision number must be positive']
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0,
+    min: [0, 'File size cannot be negative']
+  },
+  // Storage key holding this revision's content
+  contentKey: {
+    type: String,
+    required: [true, 'Content key is required']
+  },
+  contentHash: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for efficient queries
+fileRevisionSchema.index({ fileId: 1, revision: -1 }, { unique: true });
+fileRevisionSchema.index({ projectId: 1 });
+
+module.exports = mongoose.model('FileRevision', fileRevisionSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Searchable copy of a file's current content, kept up to date on every save
+const fileSearchIndexSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileMetadata',
+    required: [true, 'File ID is required']
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required']
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // Matches FileMetadata.contentHash when the entry is current
+  contentHash: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+fileSearchIndexSchema.index({ fileId: 1 }, { unique: true });
+fileSearchIndexSchema.index({ projectId: 1 });
+
+module.exports = mongoose.model('FileSearchIndex', fileSearchIndexSchema);
@@ -1,4 +1,37 @@
 const mongoose = require('mongoose');
+const trashable = require('./plugins/trashable');
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member user ID is required']
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor', 'owner'],
+    default: 'editor'
+  },
+  // Invited members must accept before they gain access
+  status: {
+    type: String,
+    enum: ['pending', 'active'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
 
 const projectSchema = new mongoose.Schema({
   userId: {
@@ -24,9 +57,24 @@ const projectSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  // Template the project was created from (see GET /api/templates)
+  template: {
+    type: String,
+    trim: true
+  },
+  // Project this one was forked from, if any
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
   lastAccessedAt: {
     type: Date,
     default: Date.now
+  },
+  members: {
+    type: [memberSchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -36,6 +84,11 @@ const projectSchema = new mongoose.Schema({
 // Index for efficient queries
 projectSchema.index({ userId: 1, createdAt: -1 });
 projectSchema.index({ userId: 1, lastAccessedAt: -1 });
+projectSchema.index({ 'members.userId': 1, 'members.status': 1 });
+projectSchema.index({ trashedAt: 1 });
+
+// Trashed projects are hidden until restored or purged
+projectSchema.plugin(trashable);
 
 // Update lastAccessedAt when project is accessed
 projectSchema.methods.updateLastAccessed = function () {
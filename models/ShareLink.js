@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Read-only public link to a project; only a hash of the token is stored
+const shareLinkSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project ID is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // null for links that never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ projectId: 1, createdAt: -1 });
+
+// Active links are neither revoked nor expired
+shareLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Never expose the token hash
+shareLinkSchema.methods.toJSON = function() {
+  const shareLinkObject = this.toObject();
+  delete shareLinkObject.tokenHash;
+  delete shareLinkObject.__v;
+  shareLinkObject.active = this.isActive();
+  return shareLinkObject;
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -16,6 +16,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password is required'],
     minlength: 6
+  },
+  // Incremented on logout to revoke previously issued tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -41,6 +46,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.passwordHash;
+  delete userObject.tokenVersion;
   return userObject;
 };
 
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Queries that hide trashed documents
+const HIDDEN_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments'];
+
+/**
+ * Soft delete support: adds trashedAt/trashedBy and hides trashed documents from reads
+ * Queries that filter on trashedAt themselves, or call .withTrashed(), also see trashed documents.
+ * Updates and deletes are not filtered.
+ */
+const trashable = (schema) => {
+  schema.add({
+    trashedAt: {
+      type: Date,
+      default: null
+    },
+    trashedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.query.withTrashed = function() {
+    return this.setOptions({ withTrashed: true });
+  };
+
+  schema.pre(HIDDEN_QUERIES, function() {
+    if (!this.getOptions().withTrashed && !Object.prototype.hasOwnProperty.call(this.getFilter(), 'trashedAt')) {
+      this.where({ trashedAt: null });
+    }
+  });
+};
+
+module.exports = trashable;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { userSchemas, validate } = require('../utils/validation');
+const { authenticate } = require('../middleware/auth');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  me
+} = require('../controllers/authController');
+
+// Create a new account
+router.post('/register', validate(userSchemas.register), register);
+
+// Log in with email and password
+router.post('/login', validate(userSchemas.login), login);
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', validate(userSchemas.refresh), refresh);
+
+// Revoke all tokens for the current user
+router.post('/logout', authenticate, logout);
+
+// Get the current user
+router.get('/me', authenticate, me);
+
+module.exports = router;
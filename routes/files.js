@@ -1,13 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const { fileSchemas, validate, validateObjectId } = require('../utils/validation');
+const { authenticate } = require('../middleware/auth');
 const {
   getProjectFiles,
   createFile,
   getFile,
   updateFile,
+  moveFile,
+  copyFile,
   deleteFile
 } = require('../controllers/fileController');
+const {
+  getFileRevisions,
+  getFileRevision,
+  diffFileRevisions,
+  restoreFileRevision
+} = require('../controllers/revisionController');
+
+// Every file route requires an authenticated caller
+router.use(authenticate);
 
 // Get all files for a project
 router.get('/project/:projectId', validateObjectId('projectId'), getProjectFiles);
@@ -21,7 +33,25 @@ router.get('/:id', validateObjectId(), getFile);
 // Update file content or metadata
 router.put('/:id', validateObjectId(), validate(fileSchemas.update), updateFile);
 
+// Move and/or rename a file or folder
+router.post('/:id/move', validateObjectId(), validate(fileSchemas.move), moveFile);
+
+// Copy a file or folder (recursively) within its project
+router.post('/:id/copy', validateObjectId(), validate(fileSchemas.copy), copyFile);
+
 // Delete file or folder (recursive for folders)
 router.delete('/:id', validateObjectId(), deleteFile);
 
+// List revisions of a file
+router.get('/:id/revisions', validateObjectId(), getFileRevisions);
+
+// Unified diff between two revisions (?from=&to=)
+router.get('/:id/revisions/diff', validateObjectId(), diffFileRevisions);
+
+// Get a revision with its content
+router.get('/:id/revisions/:revision', validateObjectId(), getFileRevision);
+
+// Restore a revision as the current content
+router.post('/:id/revisions/:revision/restore', validateObjectId(), restoreFileRevision);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router({ strict: true });
+const { validateObjectId } = require('../utils/validation');
+const { authenticate, allowQueryToken, authenticatePreview } = require('../middleware/auth');
+const { startPreviewSession, isolatePreview, servePreviewFile } = require('../controllers/previewController');
+
+// Relative asset URLs need the trailing slash
+router.get('/:projectId', validateObjectId('projectId'), (req, res) => {
+  const url = new URL(req.originalUrl, 'http://preview');
+  res.redirect(301, `${url.pathname}/${url.search}`);
+});
+
+// Serve project files by path, e.g. /preview/:projectId/~<previewToken>/src/App.css
+router.get(
+  '/:projectId/~:previewToken/*',
+  validateObjectId('projectId'),
+  isolatePreview,
+  authenticatePreview,
+  servePreviewFile
+);
+
+// Open /preview/:projectId/?access_token=<token> to start a session, which redirects to the
+// same path under /preview/:projectId/~<previewToken>/
+router.get(
+  '/:projectId/*',
+  validateObjectId('projectId'),
+  allowQueryToken,
+  authenticate,
+  startPreviewSession
+);
+
+module.exports = router;
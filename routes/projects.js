@@ -1,27 +1,110 @@
 const express = require('express');
 const router = express.Router();
-const { projectSchemas, validate, validateObjectId, validateUserId } = require('../utils/validation');
+const { projectSchemas, memberSchemas, fileSchemas, fsSchemas, searchSchemas, shareSchemas, validate, validateQuery, validateObjectId, validateUserId } = require('../utils/validation');
+const { authenticate, allowQueryToken } = require('../middleware/auth');
+const { uploadArchive } = require('../middleware/upload');
 const {
   createProject,
   getUserProjects,
+  getSharedProjects,
   getProject,
   updateProject,
-  deleteProject
+  deleteProject,
+  forkProject
 } = require('../controllers/projectController');
+const { exportProject, importProject } = require('../controllers/archiveController');
+const { getProjectTree } = require('../controllers/fileController');
+const { readPath, writePath, deletePath } = require('../controllers/fsController');
+const { batchFiles } = require('../controllers/batchController');
+const { streamProjectEvents } = require('../controllers/eventController');
+const { searchProjectFiles, replaceInProject } = require('../controllers/searchController');
+const { getProjectTrash, restoreTrashedFile, deleteTrashedFile } = require('../controllers/trashController');
+const {
+  createProjectShareLink,
+  getProjectShareLinks,
+  revokeProjectShareLink
+} = require('../controllers/shareController');
+const {
+  getMembers,
+  inviteMember,
+  acceptInvitation,
+  removeMember
+} = require('../controllers/memberController');
+
+// Live change feed (server-sent events). EventSource cannot send headers, so the
+// access token may also be passed as ?access_token=
+router.get('/:id/events', validateObjectId(), allowQueryToken, authenticate, streamProjectEvents);
 
-// Create new project
+// Every other project route requires an authenticated caller
+router.use(authenticate);
+
+// Create new project owned by the caller
 router.post('/', validate(projectSchemas.create), createProject);
 
-// Get projects by user ID
+// Import a project from a ZIP archive (multipart field "archive")
+router.post('/import', uploadArchive('archive'), validate(projectSchemas.import), importProject);
+
+// Get the caller's projects
+router.get('/', getUserProjects);
+
+// Get projects by user ID (only the caller's own ID is allowed)
 router.get('/user/:userId', validateUserId('userId'), getUserProjects);
 
+// Get projects shared with the caller (?status=pending for invitations)
+router.get('/shared', getSharedProjects);
+
 // Get specific project by ID
 router.get('/:id', validateObjectId(), getProject);
 
 // Update project
 router.put('/:id', validateObjectId(), validate(projectSchemas.update), updateProject);
 
-// Delete project and all associated files
+// Move project to trash (restore or purge it through /api/trash)
 router.delete('/:id', validateObjectId(), deleteProject);
 
+// Fork the project into a new project owned by the caller
+router.post('/:id/fork', validateObjectId(), validate(projectSchemas.fork), forkProject);
+
+// Download the project as a ZIP archive
+router.get('/:id/export.zip', validateObjectId(), exportProject);
+
+// Nested file tree with folder sizes (?path= to start at a folder, ?depth= to limit levels)
+router.get('/:id/tree', validateObjectId(), validateQuery(projectSchemas.tree), getProjectTree);
+
+// Path-based file access, e.g. /:id/fs/src/App.js (an empty path is the project root)
+router.get(['/:id/fs', '/:id/fs/*'], validateObjectId(), readPath);
+router.put('/:id/fs/*', validateObjectId(), validate(fsSchemas.write), writePath);
+router.delete('/:id/fs/*', validateObjectId(), deletePath);
+
+// Apply several file operations at once, all or nothing ("Save All")
+router.post('/:id/files/batch', validateObjectId(), validate(fileSchemas.batch), batchFiles);
+
+// Full-text search across file contents
+router.get('/:id/search', validateObjectId(), validateQuery(searchSchemas.query), searchProjectFiles);
+
+// Find and replace: preview, then apply the selected files
+router.post('/:id/replace', validateObjectId(), validate(searchSchemas.replace), replaceInProject);
+
+// Trashed files and folders: list, restore, delete permanently
+router.get('/:id/trash', validateObjectId(), getProjectTrash);
+router.post('/:id/trash/:fileId/restore', validateObjectId(), validateObjectId('fileId'), restoreTrashedFile);
+router.delete('/:id/trash/:fileId', validateObjectId(), validateObjectId('fileId'), deleteTrashedFile);
+
+// Read-only share links (owner only)
+router.post('/:id/share', validateObjectId(), validate(shareSchemas.create), createProjectShareLink);
+router.get('/:id/share', validateObjectId(), validateQuery(shareSchemas.list), getProjectShareLinks);
+router.delete('/:id/share/:linkId', validateObjectId(), validateObjectId('linkId'), revokeProjectShareLink);
+
+// List project owner and members
+router.get('/:id/members', validateObjectId(), getMembers);
+
+// Invite a user to the project (owner only)
+router.post('/:id/members', validateObjectId(), validate(memberSchemas.invite), inviteMember);
+
+// Accept a pending invitation
+router.post('/:id/members/accept', validateObjectId(), acceptInvitation);
+
+// Remove a member, or leave the project when removing yourself
+router.delete('/:id/members/:userId', validateObjectId(), validateObjectId('userId'), removeMember);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { validateObjectId } = require('../utils/validation');
+const { authenticateShareLink } = require('../middleware/auth');
+const { getSharedProject, getSharedTree, getSharedFile } = require('../controllers/shareController');
+
+// Share links grant read-only access without an account
+router.use('/:token', authenticateShareLink);
+
+// Get the shared project
+router.get('/:token', getSharedProject);
+
+// Get the shared project's file tree
+router.get('/:token/tree', getSharedTree);
+
+// Get a shared file with its content
+router.get('/:token/files/:fileId', validateObjectId('fileId'), getSharedFile);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getTemplates } = require('../controllers/templateController');
+
+// List available project templates
+router.get('/', getTemplates);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { validateObjectId } = require('../utils/validation');
+const { authenticate } = require('../middleware/auth');
+const {
+  getTrash,
+  restoreTrashedProject,
+  deleteTrashedProject
+} = require('../controllers/trashController');
+
+// Every trash route requires an authenticated caller
+router.use(authenticate);
+
+// List trashed projects and files
+router.get('/', getTrash);
+
+// Restore a trashed project (owner only)
+router.post('/projects/:id/restore', validateObjectId(), restoreTrashedProject);
+
+// Permanently delete a trashed project (owner only)
+router.delete('/projects/:id', validateObjectId(), deleteTrashedProject);
+
+module.exports = router;
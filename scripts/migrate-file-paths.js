@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+// Backfill FileMetadata.ancestors and FileMetadata.path for existing files and folders.
+// Safe to run more than once: every document is recomputed from its parent links.
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const FileMetadata = require('../models/FileMetadata');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Compute ancestors and path for every file of a project from parent links
+ * Orphans (missing parent) and cycles are treated as root-level entries.
+ */
+const computeHierarchy = (files) => {
+  const fileMap = new Map(files.map(file => [file._id.toString(), file]));
+  const placed = new Map();
+
+  const place = (file, visited = new Set()) => {
+    const fileId = file._id.toString();
+    if (placed.has(fileId)) {
+      return placed.get(fileId);
+    }
+
+    const parentId = file.parentId ? file.parentId.toString() : null;
+    const parent = parentId ? fileMap.get(parentId) : null;
+
+    let placement = { ancestors: [], path: file.name };
+    if (parent && !visited.has(parentId)) {
+      visited.add(fileId);
+      const parentPlacement = place(parent, visited);
+      placement = {
+        ancestors: [...parentPlacement.ancestors, parent._id],
+        path: `${parentPlacement.path}/${file.name}`
+      };
+    }
+
+    placed.set(fileId, placement);
+    return placement;
+  };
+
+  files.forEach(file => place(file));
+  return placed;
+};
+
+/**
+ * Find items whose path is ambiguous: names containing "/" or "\\", and paths shared by
+ * more than one item (e.g. a root-level "src/App.js" next to the real src/App.js)
+ * Returns [{ path, fileIds }]; these have to be renamed by hand.
+ */
+const findPathCollisions = (files, placed) => {
+  const byPath = new Map();
+  files.forEach(file => {
+    const { path } = placed.get(file._id.toString());
+    byPath.set(path, [...(byPath.get(path) || []), file]);
+  });
+
+  return [...byPath.entries()]
+    .filter(([, items]) => items.length > 1 || items.some(item => /[/\\]/.test(item.name)))
+    .map(([path, items]) => ({ path, fileIds: items.map(item => item._id.toString()) }));
+};
+
+const migrate = async () => {
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('Database not connected');
+  }
+
+  const projectIds = await FileMetadata.distinct('projectId');
+  console.log(`📁 Backfilling file paths for ${projectIds.length} projects`);
+
+  let updatedFiles = 0;
+  let collisions = 0;
+  for (const projectId of projectIds) {
+    const files = await FileMetadata.find({ projectId }).withTrashed().select('name parentId').lean();
+    const placed = computeHierarchy(files);
+
+    findPathCollisions(files, placed).forEach(({ path, fileIds }) => {
+      collisions++;
+      console.warn(`⚠️  Project ${projectId}: "${path}" is ambiguous (files ${fileIds.join(', ')}); rename them by hand`);
+    });
+
+    const updates = [...placed.entries()].map(([fileId, placement]) => ({
+      updateOne: { filter: { _id: fileId }, update: placement }
+    }));
+
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      await FileMetadata.bulkWrite(updates.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    updatedFiles += updates.length;
+  }
+
+  // Make sure the indexes for subtree and path lookups exist
+  await FileMetadata.createIndexes();
+
+  console.log(`✅ Backfilled ancestors and path for ${updatedFiles} files and folders`);
+  if (collisions > 0) {
+    console.warn(`⚠️  ${collisions} ambiguous paths found; path lookups may return either item until they are renamed`);
+  }
+};
+
+// Run only when invoked directly, so computeHierarchy can be required on its own
+if (require.main === module) {
+  migrate()
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+      console.error('❌ File path migration failed:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  computeHierarchy,
+  findPathCollisions
+};
@@ -16,7 +16,9 @@ connectDB();
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Let the editor read file versions for If-Match saves
+  exposedHeaders: ['ETag']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -48,8 +50,22 @@ app.get('/api/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/projects', require('./routes/projects'));
 app.use('/api/files', require('./routes/files'));
+app.use('/api/templates', require('./routes/templates'));
+app.use('/api/shared', require('./routes/shared'));
+app.use('/api/trash', require('./routes/trash'));
+
+// Live preview of project files, and local packages for its import map
+app.use('/preview', require('./routes/preview'));
+const previewConfig = require('./config/preview');
+if (previewConfig.vendorDir) {
+  // Previews run with an opaque origin, so their module loads are cross-origin
+  app.use('/preview-vendor', express.static(previewConfig.vendorDir, {
+    setHeaders: res => res.set('Access-Control-Allow-Origin', '*')
+  }));
+}
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -68,11 +84,30 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 5000;
 const HOST = process.env.HOST || '0.0.0.0';
 
-app.listen(PORT, HOST, () => {
+const server = app.listen(PORT, HOST, () => {
   console.log(`🚀 CipherStudio API server running on ${HOST}:${PORT}`);
   console.log(`📊 Health check: http://${HOST}:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
 }).on('error', (err) => {
   console.error('❌ Server failed to start:', err);
   process.exit(1);
-});
\ No newline at end of file
+});
+
+// Collaborative editing sessions (WebSocket upgrade on the same port)
+const { attachCollabServer, closeAllSessions } = require('./services/collabServer');
+attachCollabServer(server);
+
+// Purge trashed projects and files after the retention period
+const { startTrashSweeper } = require('./services/trashService');
+startTrashSweeper();
+
+// Persist open collaborative sessions before exiting
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, saving open documents...`);
+  setTimeout(() => process.exit(1), 10000).unref();
+  await closeAllSessions();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
@@ -0,0 +1,220 @@
+const path = require('path');
+const yauzl = require('yauzl');
+const archiveConfig = require('../config/archive');
+
+// OS metadata that never belongs in a project
+const SYSTEM_ENTRIES = ['__MACOSX', '.DS_Store', 'Thumbs.db'];
+
+/**
+ * Open a ZIP archive from an in-memory buffer
+ */
+const openArchive = (buffer) => {
+  return new Promise((resolve, reject) => {
+    // decodeStrings is off so unsafe names are reported as skipped instead of aborting the import
+    yauzl.fromBuffer(buffer, { lazyEntries: true, decodeStrings: false }, (error, zipFile) => {
+      if (error) {
+        const invalidError = new Error(`Invalid ZIP archive: ${error.message}`);
+        invalidError.statusCode = 400;
+        invalidError.code = 'INVALID_ARCHIVE';
+        return reject(invalidError);
+      }
+      resolve(zipFile);
+    });
+  });
+};
+
+/**
+ * Read an entry's content, aborting once it grows past maxBytes
+ */
+const readEntry = (zipFile, entry, maxBytes) => {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => {
+      if (error) {
+        return reject(error);
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          stream.destroy(new Error('file too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('error', reject);
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  });
+};
+
+/**
+ * Normalize an entry name into path segments, or null if it is unsafe (zip-slip)
+ */
+const toSafeSegments = (rawName) => {
+  const name = rawName.replace(/\\/g, '/');
+
+  if (name.includes('\0') || name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+    return null;
+  }
+
+  const normalized = path.posix.normalize(name);
+  if (normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+
+  return normalized.split('/').filter(segment => segment && segment !== '.');
+};
+
+/**
+ * Read a project archive into folder and file entries
+ * Returns { rootName, folders: [path], files: [{ path, content }], skipped: [{ path, reason }] }
+ * overrides replaces individual limits of config/archive.
+ */
+const readProjectArchive = async (buffer, overrides = {}) => {
+  const limits = { ...archiveConfig, ...overrides };
+  const zipFile = await openArchive(buffer);
+
+  const folders = new Set();
+  const files = [];
+  const skipped = [];
+  const ignoredRoots = new Map();
+  let totalSize = 0;
+
+  const skip = (entryPath, reason) => skipped.push({ path: entryPath, reason });
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on('error', reject);
+      zipFile.on('end', resolve);
+
+      zipFile.on('entry', async (entry) => {
+        try {
+          const rawName = entry.fileName.toString('utf8');
+          const isDirectory = rawName.endsWith('/') || rawName.endsWith('\\');
+          const segments = toSafeSegments(rawName);
+
+          if (!segments) {
+            skip(rawName, 'unsafe path');
+            return;
+          }
+
+          if (segments.length === 0) {
+            return;
+          }
+
+          const entryPath = segments.join('/');
+
+          // Report each ignored directory once instead of every entry inside it
+          const ignoredIndex = segments.findIndex((segment, index) =>
+            limits.ignoredDirectories.includes(segment) && (isDirectory || index < segments.length - 1)
+          );
+          if (ignoredIndex !== -1) {
+            const ignoredRoot = segments.slice(0, ignoredIndex + 1).join('/');
+            ignoredRoots.set(ignoredRoot, (ignoredRoots.get(ignoredRoot) || 0) + 1);
+            return;
+          }
+
+          if (segments.some(segment => SYSTEM_ENTRIES.includes(segment))) {
+            skip(entryPath, 'system file');
+            return;
+          }
+
+          if (segments.some(segment => segment.length > 255)) {
+            skip(entryPath, 'name too long');
+            return;
+          }
+
+          if (segments.length > limits.maxDepth) {
+            skip(entryPath, 'path too deep');
+            return;
+          }
+
+          // Every folder the entry creates counts against the limit, including implied parents
+          const folderCount = isDirectory ? segments.length : segments.length - 1;
+          const newFolders = segments
+            .slice(0, folderCount)
+            .map((segment, index) => segments.slice(0, index + 1).join('/'))
+            .filter(folderPath => !folders.has(folderPath));
+
+          if (files.length + folders.size + newFolders.length + (isDirectory ? 0 : 1) > limits.maxEntries) {
+            skip(entryPath, 'entry limit reached');
+            return;
+          }
+
+          if (isDirectory) {
+            newFolders.forEach(folderPath => folders.add(folderPath));
+            return;
+          }
+
+          if (entry.uncompressedSize > limits.maxFileSize) {
+            skip(entryPath, 'file too large');
+            return;
+          }
+
+          if (totalSize + entry.uncompressedSize > limits.maxTotalSize) {
+            skip(entryPath, 'archive size limit reached');
+            return;
+          }
+
+          let content;
+          try {
+            content = await readEntry(zipFile, entry, limits.maxFileSize);
+          } catch (readError) {
+            skip(entryPath, readError.message === 'file too large' ? 'file too large' : 'unreadable entry');
+            return;
+          }
+
+          // File content is stored as UTF-8 text
+          if (content.includes(0)) {
+            skip(entryPath, 'binary file');
+            return;
+          }
+
+          totalSize += content.length;
+          files.push({ path: entryPath, content: content.toString('utf8') });
+          newFolders.forEach(folderPath => folders.add(folderPath));
+        } catch (entryError) {
+          reject(entryError);
+        } finally {
+          zipFile.readEntry();
+        }
+      });
+
+      zipFile.readEntry();
+    });
+  } finally {
+    zipFile.close();
+  }
+
+  ignoredRoots.forEach((count, ignoredRoot) => {
+    skipped.push({ path: ignoredRoot, reason: 'ignored directory', entries: count });
+  });
+
+  // Strip a single top-level folder wrapping everything (e.g. "my-app/src/App.js")
+  let rootName = null;
+  const allPaths = [...folders, ...files.map(file => file.path)];
+  const topLevel = new Set(allPaths.map(entryPath => entryPath.split('/')[0]));
+
+  if (topLevel.size === 1 && files.length > 0 && files.every(file => file.path.includes('/'))) {
+    rootName = [...topLevel][0];
+    const prefix = `${rootName}/`;
+    files.forEach(file => { file.path = file.path.slice(prefix.length); });
+    const nestedFolders = [...folders].filter(folder => folder.startsWith(prefix)).map(folder => folder.slice(prefix.length));
+    folders.clear();
+    nestedFolders.forEach(folder => folders.add(folder));
+  }
+
+  return {
+    rootName,
+    folders: [...folders].sort((a, b) => a.split('/').length - b.split('/').length),
+    files,
+    skipped
+  };
+};
+
+module.exports = {
+  readProjectArchive
+};
@@ -0,0 +1,399 @@
+const FileMetadata = require('../models/FileMetadata');
+const storageService = require('./storageService');
+const { createFileWithContent, createFolder, saveFileContent } = require('./fileService');
+const { discardRevision, deleteRevisionsForFiles } = require('./revisionService');
+const { indexFileContent, removeFromIndex } = require('./searchService');
+const { markFilesTrashed, unmarkFilesTrashed } = require('./trashService');
+const { handleDatabaseOperation } = require('../utils/database');
+
+/**
+ * Build an error for a single batch operation
+ */
+const operationError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * In-memory view of a project's files used to check a batch before anything is written
+ * Nodes are keyed by file ID, or "ref:<index>" for files created by the batch.
+ */
+const createVirtualTree = (files) => {
+  const nodes = new Map(files.map(file => [file._id.toString(), {
+    key: file._id.toString(),
+    id: file._id,
+    doc: file,
+    name: file.name,
+    type: file.type,
+    parentKey: file.parentId ? file.parentId.toString() : null,
+    deleted: false
+  }]));
+
+  // A node is live if neither it nor any of its ancestors has been deleted
+  const isLive = (key) => {
+    const visited = new Set();
+    let node = nodes.get(key);
+    while (node && !visited.has(node.key)) {
+      if (node.deleted) {
+        return false;
+      }
+      visited.add(node.key);
+      if (!node.parentKey) {
+        return true;
+      }
+      node = nodes.get(node.parentKey);
+    }
+    return !!node;
+  };
+
+  const isDescendant = (key, ancestorKey) => {
+    let node = nodes.get(key);
+    while (node && node.parentKey) {
+      if (node.parentKey === ancestorKey) {
+        return true;
+      }
+      node = nodes.get(node.parentKey);
+    }
+    return false;
+  };
+
+  const hasConflict = (parentKey, name, excludeKey = null) => {
+    return [...nodes.values()].some(node =>
+      node.key !== excludeKey && node.parentKey === parentKey && node.name === name && isLive(node.key)
+    );
+  };
+
+  const pathOf = (key) => {
+    const names = [];
+    const visited = new Set();
+    let node = nodes.get(key);
+    while (node && !visited.has(node.key)) {
+      visited.add(node.key);
+      names.unshift(node.name);
+      node = node.parentKey ? nodes.get(node.parentKey) : null;
+    }
+    return names.join('/');
+  };
+
+  return { nodes, isLive, isDescendant, hasConflict, pathOf };
+};
+
+/**
+ * Check every operation against the virtual tree, in order
+ * Returns one error (or null) per operation; nothing is written.
+ */
+const planBatch = (tree, operations) => {
+  const refs = new Map();
+
+  const getLiveNode = (id) => {
+    const key = id.toString();
+    if (!tree.nodes.has(key) || !tree.isLive(key)) {
+      throw operationError(404, 'FILE_NOT_FOUND', `File ${id} not found`);
+    }
+    return tree.nodes.get(key);
+  };
+
+  const resolveParentKey = ({ parentId, parentRef }) => {
+    let parentKey = null;
+    if (parentRef !== undefined) {
+      if (!refs.has(parentRef)) {
+        throw operationError(400, 'REF_NOT_FOUND', `No earlier operation has ref "${parentRef}"`);
+      }
+      parentKey = refs.get(parentRef);
+    } else if (parentId) {
+      parentKey = parentId.toString();
+    }
+
+    if (parentKey) {
+      const parent = tree.nodes.get(parentKey);
+      if (!parent || parent.type !== 'folder' || !tree.isLive(parentKey)) {
+        throw operationError(404, 'PARENT_NOT_FOUND', 'Parent folder not found');
+      }
+    }
+    return parentKey;
+  };
+
+  const assertNoConflict = (parentKey, name, type, excludeKey) => {
+    if (tree.hasConflict(parentKey, name, excludeKey)) {
+      throw operationError(409, 'FILE_EXISTS', `A ${type} with the name "${name}" already exists in this location`);
+    }
+  };
+
+  return operations.map((operation, index) => {
+    try {
+      switch (operation.op) {
+        case 'create': {
+          const parentKey = resolveParentKey(operation);
+          assertNoConflict(parentKey, operation.name, operation.type);
+
+          if (operation.ref !== undefined && refs.has(operation.ref)) {
+            throw operationError(400, 'DUPLICATE_REF', `Ref "${operation.ref}" is used by more than one operation`);
+          }
+
+          const key = `ref:${index}`;
+          tree.nodes.set(key, {
+            key,
+            id: null,
+            doc: null,
+            name: operation.name,
+            type: operation.type,
+            parentKey,
+            deleted: false
+          });
+          operation.key = key;
+          if (operation.ref !== undefined) {
+            refs.set(operation.ref, key);
+          }
+          break;
+        }
+
+        case 'update': {
+          const node = getLiveNode(operation.id);
+          if (node.type !== 'file') {
+            throw operationError(400, 'INVALID_OPERATION', 'Cannot save content of a folder');
+          }
+          operation.key = node.key;
+          break;
+        }
+
+        case 'rename': {
+          const node = getLiveNode(operation.id);
+          assertNoConflict(node.parentKey, operation.name, node.type, node.key);
+          node.name = operation.name;
+          operation.key = node.key;
+          break;
+        }
+
+        case 'move': {
+          const node = getLiveNode(operation.id);
+          const parentKey = resolveParentKey(operation);
+          if (parentKey && (parentKey === node.key || tree.isDescendant(parentKey, node.key))) {
+            throw operationError(400, 'INVALID_MOVE', 'Cannot move folder into itself or its own descendant');
+          }
+          assertNoConflict(parentKey, node.name, node.type, node.key);
+          node.parentKey = parentKey;
+          operation.key = node.key;
+          break;
+        }
+
+        case 'delete': {
+          const node = getLiveNode(operation.id);
+          node.deleted = true;
+          operation.key = node.key;
+          break;
+        }
+      }
+      return null;
+    } catch (error) {
+      return error;
+    }
+  });
+};
+
+/**
+ * Apply a batch of file operations to a project, all or nothing
+ * Creates, updates, renames and moves are applied in order with an undo journal;
+ * deletes move items to the trash last, so a failure anywhere can still be rolled back.
+ * Throws an error with `results` (one entry per operation) if the batch is rejected.
+ */
+const applyFileBatch = async (project, operations, { authorId = null } = {}) => {
+  const files = await handleDatabaseOperation(async () => {
+    return await FileMetadata.find({ projectId: project._id });
+  }, 'Failed to fetch project files');
+
+  const tree = createVirtualTree(files);
+  const errors = planBatch(tree, operations);
+
+  const firstError = errors.find(error => error);
+  if (firstError) {
+    const index = errors.indexOf(firstError);
+    const error = operationError(
+      firstError.statusCode || 400,
+      firstError.code || 'BATCH_REJECTED',
+      `Operation ${index} (${operations[index].op}) failed: ${firstError.message}`
+    );
+    error.results = operations.map((operation, i) => ({
+      index: i,
+      op: operation.op,
+      status: errors[i] ? 'failed' : 'not_applied',
+      ...(errors[i] && { error: { code: errors[i].code, message: errors[i].message } })
+    }));
+    throw error;
+  }
+
+  const nodeId = (key) => (key ? tree.nodes.get(key).id : null);
+  const journal = [];
+  const results = [];
+  let current = null;
+
+  try {
+    for (const [index, operation] of operations.entries()) {
+      current = index;
+      const node = tree.nodes.get(operation.key);
+
+      switch (operation.op) {
+        case 'create': {
+          const parentId = nodeId(node.parentKey);
+          const file = operation.type === 'file'
+            ? await createFileWithContent(
+              { projectId: project._id, name: operation.name, parentId, content: operation.content },
+              { authorId }
+            )
+            : await createFolder({ projectId: project._id, name: operation.name, parentId });
+
+          node.id = file._id;
+          node.doc = file;
+          journal.push(async () => {
+            if (file.s3Key) {
+              await storageService.deleteFile(file.s3Key);
+            }
+            await deleteRevisionsForFiles([file._id]);
+            await removeFromIndex([file._id]);
+            await FileMetadata.findByIdAndDelete(file._id);
+          });
+          results[index] = { index, op: operation.op, status: 'applied', path: tree.pathOf(operation.key), file };
+          break;
+        }
+
+        case 'update': {
+          const previous = node.doc;
+          let previousContent = '';
+          try {
+            previousContent = await storageService.getFile(previous.s3Key);
+          } catch (storageError) {
+            console.log(`⚠️  Storage download failed for ${previous.name}, rollback restores empty content`);
+          }
+
+          const { file, revision } = await saveFileContent(previous, operation.content, { authorId });
+
+          node.doc = file;
+          // The save moved the file to a new storage key and deleted the previous one
+          journal.push(async () => {
+            await storageService.uploadFile(previous.s3Key, previousContent, previous.mimeType);
+            await FileMetadata.findByIdAndUpdate(previous._id, {
+              s3Key: previous.s3Key,
+              size: previous.size,
+              contentHash: previous.contentHash,
+              version: previous.version
+            });
+            await storageService.deleteFile(file.s3Key);
+            await discardRevision(revision);
+            await indexFileContent(previous, previousContent);
+          });
+          results[index] = { index, op: operation.op, status: 'applied', path: tree.pathOf(operation.key), file };
+          break;
+        }
+
+        case 'rename':
+        case 'move': {
+          const previous = node.doc;
+          const updateData = operation.op === 'rename'
+            ? { name: operation.name }
+            : { parentId: nodeId(node.parentKey) };
+
+          const file = await handleDatabaseOperation(async () => {
+            const updated = await FileMetadata.findByIdAndUpdate(
+              previous._id,
+              updateData,
+              { new: true, runValidators: true }
+            ).select('-__v');
+            return await FileMetadata.syncHierarchy(updated);
+          }, 'Failed to update file metadata');
+
+          node.doc = file;
+          journal.push(async () => {
+            const restored = await FileMetadata.findByIdAndUpdate(previous._id, {
+              name: previous.name,
+              parentId: previous.parentId
+            }, { new: true });
+            await FileMetadata.syncHierarchy(restored);
+          });
+          results[index] = { index, op: operation.op, status: 'applied', path: tree.pathOf(operation.key), file };
+          break;
+        }
+
+        case 'delete':
+          // Applied below, once everything else has succeeded
+          break;
+      }
+    }
+
+    // Trash everything no longer reachable: deleted items and whatever ends up inside them.
+    // Each item belongs to the trash entry of its nearest deleted ancestor (or itself).
+    current = null;
+    const trashRootOf = (node) => {
+      while (node && !node.deleted) {
+        node = node.parentKey ? tree.nodes.get(node.parentKey) : null;
+      }
+      return node ? node.key : null;
+    };
+
+    const trashed = new Map();
+    [...tree.nodes.values()]
+      .filter(node => node.id && !tree.isLive(node.key))
+      .forEach(node => {
+        const rootKey = trashRootOf(node);
+        if (rootKey) {
+          trashed.set(rootKey, [...(trashed.get(rootKey) || []), node.id]);
+        }
+      });
+
+    const trashedAt = new Date();
+    for (const [rootKey, fileIds] of trashed) {
+      const rootId = tree.nodes.get(rootKey).id;
+      await markFilesTrashed(fileIds, rootId, authorId, trashedAt);
+      journal.push(async () => {
+        await unmarkFilesTrashed(rootId);
+      });
+    }
+
+    operations.forEach((operation, index) => {
+      if (operation.op === 'delete') {
+        results[index] = {
+          index,
+          op: operation.op,
+          status: 'applied',
+          path: tree.pathOf(operation.key),
+          file: tree.nodes.get(operation.key).doc,
+          deletedFiles: (trashed.get(operation.key) || []).length
+        };
+      }
+    });
+
+    return results;
+
+  } catch (error) {
+    console.error('Batch apply error, rolling back:', error);
+
+    // Undo applied operations in reverse order
+    for (const undo of journal.reverse()) {
+      try {
+        await undo();
+      } catch (undoError) {
+        console.error('Batch rollback step failed:', undoError);
+      }
+    }
+
+    const failedIndex = current;
+    const batchError = operationError(
+      error.statusCode || 500,
+      error.code || 'BATCH_FAILED',
+      failedIndex !== null
+        ? `Operation ${failedIndex} (${operations[failedIndex].op}) failed: ${error.message}`
+        : `Failed to move files to trash: ${error.message}`
+    );
+    batchError.results = operations.map((operation, index) => ({
+      index,
+      op: operation.op,
+      status: index === failedIndex ? 'failed' : (results[index] ? 'rolled_back' : 'not_applied'),
+      ...(index === failedIndex && { error: { code: error.code || 'BATCH_FAILED', message: error.message } })
+    }));
+    throw batchError;
+  }
+};
+
+module.exports = {
+  applyFileBatch
+};
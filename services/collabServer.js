@@ -0,0 +1,96 @@
+const { WebSocketServer } = require('ws');
+const { getTokenUser } = require('../middleware/auth');
+const { getFileForUser, getProjectRole, hasRole } = require('../utils/projectAccess');
+const { joinSession, closeAllSessions } = require('./collabService');
+const collabConfig = require('../config/collab');
+
+// ws://host/api/collab/:fileId?access_token=...
+const COLLAB_PATH = /^\/api\/collab\/([^/]+)\/?$/;
+
+// jsonwebtoken errors for missing, invalid, expired or not yet valid tokens
+const TOKEN_ERRORS = ['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'];
+
+/**
+ * Reject an upgrade request with a plain HTTP response
+ */
+const rejectUpgrade = (socket, statusCode, message) => {
+  socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Authenticate an upgrade request and check the caller can open the file
+ */
+const authorizeUpgrade = async (req, fileId) => {
+  const url = new URL(req.url, 'http://localhost');
+  const header = req.headers.authorization || '';
+  const token = header.toLowerCase().startsWith('bearer ')
+    ? header.slice(7)
+    : url.searchParams.get('access_token');
+
+  const user = await getTokenUser(token);
+  const { file, project } = await getFileForUser(fileId, user, 'viewer');
+
+  if (file.type !== 'file') {
+    const error = new Error('Folders cannot be edited');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { user, file, canEdit: hasRole(getProjectRole(project, user), 'editor') };
+};
+
+/**
+ * Attach the collaborative editing WebSocket endpoint to the HTTP server
+ */
+const attachCollabServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const match = COLLAB_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    let access;
+    try {
+      access = await authorizeUpgrade(req, decodeURIComponent(match[1]));
+    } catch (error) {
+      const statusCode = error.statusCode || (TOKEN_ERRORS.includes(error.name) ? 401 : 500);
+      const messages = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found' };
+      return rejectUpgrade(socket, statusCode, messages[statusCode] || 'Internal Server Error');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+
+      joinSession(ws, access.file, access).catch(error => {
+        console.error(`Failed to join collaborative session for file ${access.file._id}:`, error);
+        ws.close(1011, 'Failed to open document');
+      });
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, collabConfig.pingInterval);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log('📝 Collaborative editing available at /api/collab/:fileId');
+  return wss;
+};
+
+module.exports = {
+  attachCollabServer,
+  closeAllSessions
+};
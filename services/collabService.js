@@ -0,0 +1,493 @@
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const { diffChars } = require('diff');
+const FileMetadata = require('../models/FileMetadata');
+const Project = require('../models/Project');
+const storageService = require('./storageService');
+const { saveFileContent } = require('./fileService');
+const { publishFileEvent, subscribe } = require('./eventService');
+const { getProjectRole, hasRole } = require('../utils/projectAccess');
+const collabConfig = require('../config/collab');
+
+// y-websocket message types
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+// Origin of changes applied by the server itself (loads, external saves)
+const SERVER_ORIGIN = 'server';
+
+// WebSocket close codes sent to clients
+const CLOSE_FILE_DELETED = 4404;
+const CLOSE_ACCESS_REVOKED = 4403;
+
+// fileId -> session, and fileId -> promise while a session is loading
+const sessions = new Map();
+const loading = new Map();
+
+/**
+ * Send a message to a client if its socket is still open
+ */
+const send = (ws, message) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(message, (error) => {
+      if (error) {
+        ws.close();
+      }
+    });
+  }
+};
+
+/**
+ * Turn a text into new content using minimal edits
+ */
+const applyTextChanges = (text, content) => {
+  const current = text.toString();
+  if (current === content) {
+    return;
+  }
+
+  // Large rewrites fall back to replacing the whole text
+  const parts = diffChars(current, content, { timeout: 1000 }) ||
+    [{ removed: true, value: current }, { added: true, value: content }];
+
+  text.doc.transact(() => {
+    let index = 0;
+    parts.forEach(part => {
+      if (part.added) {
+        text.insert(index, part.value);
+        index += part.value.length;
+      } else if (part.removed) {
+        text.delete(index, part.value.length);
+      } else {
+        index += part.value.length;
+      }
+    });
+  }, SERVER_ORIGIN);
+};
+
+/**
+ * Merge content saved outside the session into the shared document
+ * The change is made as edits on top of the last stored version (session.baseUpdate),
+ * so the CRDT merges it with edits clients made since instead of overwriting them.
+ */
+const mergeExternalContent = (session, content) => {
+  const base = new Y.Doc();
+  Y.applyUpdate(base, session.baseUpdate);
+  const baseVector = Y.encodeStateVector(base);
+
+  applyTextChanges(base.getText('content'), content);
+
+  Y.applyUpdate(session.doc, Y.encodeStateAsUpdate(base, baseVector), SERVER_ORIGIN);
+  session.baseUpdate = Y.encodeStateAsUpdate(base);
+  base.destroy();
+
+  // Client edits merged on top of the external content still need saving
+  if (session.doc.getText('content').toString() !== content) {
+    session.dirty = true;
+    schedulePersist(session);
+  }
+};
+
+/**
+ * Re-check each client's role after the project's members change
+ * Removed members are disconnected and editors who lost the role become read-only.
+ */
+const recheckAccess = async (session) => {
+  const project = await Project.findById(session.file.projectId);
+
+  session.clients.forEach((client, ws) => {
+    const role = project ? getProjectRole(project, client.user) : null;
+    if (!role) {
+      ws.close(CLOSE_ACCESS_REVOKED, 'Access revoked');
+    } else {
+      client.canEdit = hasRole(role, 'editor');
+    }
+  });
+};
+
+/**
+ * Reload a session from the stored file after someone saved outside the session
+ */
+const reloadSession = async (session) => {
+  const file = await FileMetadata.findById(session.fileId);
+  if (!file) {
+    return destroySession(session, { code: CLOSE_FILE_DELETED, reason: 'File deleted' });
+  }
+
+  if ((file.version || 0) <= (session.file.version || 0)) {
+    return;
+  }
+
+  const content = await storageService.getFile(file.s3Key);
+  session.file = file;
+  mergeExternalContent(session, content);
+};
+
+/**
+ * Save the document content once
+ */
+const saveSession = async (session) => {
+  session.dirty = false;
+
+  try {
+    const content = session.doc.getText('content').toString();
+    const savedUpdate = Y.encodeStateAsUpdate(session.doc);
+    const { file } = await saveFileContent(session.file, content, {
+      authorId: session.lastEditorId,
+      expectedVersion: session.file.version || 0
+    });
+    session.file = file;
+    session.baseUpdate = savedUpdate;
+
+    await publishFileEvent('updated', file, {
+      changes: ['content'],
+      source: 'collab',
+      actorId: session.lastEditorId
+    });
+  } catch (error) {
+    if (error.code === 'FILE_NOT_FOUND') {
+      await destroySession(session, { code: CLOSE_FILE_DELETED, reason: 'File deleted' });
+    } else if (error.code === 'VERSION_CONFLICT') {
+      // Someone saved outside the session just before us: merge their content, then save again
+      session.file = error.current.file;
+      mergeExternalContent(session, error.current.content);
+    } else {
+      console.error(`Failed to persist collaborative session for file ${session.fileId}:`, error);
+      session.dirty = true;
+      schedulePersist(session);
+    }
+  }
+};
+
+/**
+ * Persist the merged document through the regular save path (records a revision)
+ */
+const persistSession = async (session) => {
+  clearTimeout(session.persistTimer);
+  session.persistTimer = null;
+
+  // Let an in-flight save finish, then save whatever changed since
+  while (session.persisting) {
+    await session.persisting;
+  }
+
+  if (!session.dirty || session.destroyed) {
+    return;
+  }
+
+  session.persisting = saveSession(session).finally(() => {
+    session.persisting = null;
+  });
+  await session.persisting;
+};
+
+/**
+ * Persist shortly after the latest edit
+ */
+const schedulePersist = (session) => {
+  if (!session.persistTimer && !session.destroyed) {
+    session.persistTimer = setTimeout(() => persistSession(session), collabConfig.persistInterval);
+  }
+};
+
+/**
+ * Drop a session, disconnecting any remaining clients
+ */
+const destroySession = async (session, { code = 1000, reason = 'Session closed', persist = false } = {}) => {
+  if (session.destroyed) {
+    return;
+  }
+
+  if (persist) {
+    await persistSession(session);
+    if (session.destroyed) {
+      return;
+    }
+    if (session.dirty) {
+      console.error(`⚠️  Closing collaborative session for file ${session.fileId} with unsaved changes`);
+    }
+  }
+
+  session.destroyed = true;
+  clearTimeout(session.persistTimer);
+  clearTimeout(session.idleTimer);
+  session.unsubscribe();
+  sessions.delete(session.fileId);
+
+  session.clients.forEach((client, ws) => ws.close(code, reason));
+  session.clients.clear();
+  session.awareness.destroy();
+  session.doc.destroy();
+
+  console.log(`📝 Collaborative session closed for file ${session.fileId}`);
+};
+
+/**
+ * Evict a session nobody is connected to, once its content is safely stored
+ */
+const scheduleEviction = (session) => {
+  clearTimeout(session.idleTimer);
+  session.idleTimer = setTimeout(async () => {
+    try {
+      await persistSession(session);
+
+      if (session.clients.size > 0 || session.destroyed) {
+        return;
+      }
+
+      // Keep unsaved edits in memory and try again later
+      if (session.dirty) {
+        scheduleEviction(session);
+        return;
+      }
+
+      await destroySession(session, { reason: 'Idle' });
+    } catch (error) {
+      console.error(`Failed to evict collaborative session for file ${session.fileId}:`, error);
+    }
+  }, collabConfig.idleTimeout);
+};
+
+/**
+ * Load a file into a new shared document
+ */
+const createSession = async (file) => {
+  const fileId = file._id.toString();
+  const content = await storageService.getFile(file.s3Key).catch(() => '');
+
+  const doc = new Y.Doc();
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null);
+
+  const session = {
+    fileId,
+    file,
+    doc,
+    awareness,
+    clients: new Map(),
+    dirty: false,
+    persisting: null,
+    persistTimer: null,
+    idleTimer: null,
+    lastEditorId: null,
+    destroyed: false,
+    unsubscribe: null,
+    // Document state matching the stored content, for merging external saves
+    baseUpdate: null
+  };
+
+  doc.getText('content').insert(0, content);
+  session.baseUpdate = Y.encodeStateAsUpdate(doc);
+
+  // Relay document updates to every client and schedule persistence
+  doc.on('update', (update, origin) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    const message = encoding.toUint8Array(encoder);
+    session.clients.forEach((client, ws) => send(ws, message));
+
+    if (origin !== SERVER_ORIGIN) {
+      const client = session.clients.get(origin);
+      if (client) {
+        session.lastEditorId = client.user._id;
+      }
+      session.dirty = true;
+      schedulePersist(session);
+    }
+  });
+
+  // Relay cursor/selection awareness and remember which states belong to which client
+  awareness.on('update', ({ added, updated, removed }, origin) => {
+    const changedClients = added.concat(updated, removed);
+    const client = session.clients.get(origin);
+    if (client) {
+      added.forEach(id => client.awarenessIds.add(id));
+      removed.forEach(id => client.awarenessIds.delete(id));
+    }
+
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, changedClients));
+    const message = encoding.toUint8Array(encoder);
+    session.clients.forEach((c, ws) => send(ws, message));
+  });
+
+  // Follow saves made outside the session (REST, batch, restore) and deletions
+  session.unsubscribe = subscribe(file.projectId, (event) => {
+    if (event.type === 'project' && event.data.change === 'deleted') {
+      destroySession(session, { code: CLOSE_FILE_DELETED, reason: 'Project deleted' });
+      return;
+    }
+
+    if (event.type === 'project' && (event.data.changes || []).includes('members')) {
+      recheckAccess(session).catch(error => {
+        console.error(`Failed to re-check collaborative access for file ${fileId}:`, error);
+      });
+      return;
+    }
+
+    // A trashed folder takes the files inside it along
+    if (event.type === 'file' && event.data.change === 'deleted' && event.data.fileType === 'folder') {
+      FileMetadata.exists({ _id: fileId })
+        .then(exists => exists || destroySession(session, { code: CLOSE_FILE_DELETED, reason: 'File deleted' }))
+        .catch(error => console.error(`Failed to check collaborative file ${fileId}:`, error));
+      return;
+    }
+
+    if (event.type !== 'file' || event.data.fileId !== fileId) {
+      return;
+    }
+
+    if (event.data.change === 'deleted') {
+      destroySession(session, { code: CLOSE_FILE_DELETED, reason: 'File deleted' });
+    } else if (event.data.source !== 'collab' && (event.data.changes || []).includes('content')) {
+      reloadSession(session).catch(error => {
+        console.error(`Failed to reload collaborative session for file ${fileId}:`, error);
+      });
+    }
+  });
+
+  console.log(`📝 Collaborative session opened for file ${fileId}`);
+  return session;
+};
+
+/**
+ * Get the session for a file, loading it once even if several clients join at the same time
+ */
+const getSession = async (file) => {
+  const fileId = file._id.toString();
+
+  if (sessions.has(fileId)) {
+    return sessions.get(fileId);
+  }
+
+  if (!loading.has(fileId)) {
+    loading.set(fileId, createSession(file)
+      .then(session => {
+        sessions.set(fileId, session);
+        return session;
+      })
+      .finally(() => loading.delete(fileId)));
+  }
+
+  return await loading.get(fileId);
+};
+
+/**
+ * Handle a y-websocket protocol message from a client
+ */
+const handleMessage = (session, ws, client, data) => {
+  const decoder = decoding.createDecoder(new Uint8Array(data));
+  const encoder = encoding.createEncoder();
+  const messageType = decoding.readVarUint(decoder);
+
+  switch (messageType) {
+    case MESSAGE_SYNC: {
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+
+      if (client.canEdit) {
+        syncProtocol.readSyncMessage(decoder, encoder, session.doc, ws);
+      } else if (decoding.readVarUint(decoder) === syncProtocol.messageYjsSyncStep1) {
+        // Viewers may sync the document but their updates are ignored
+        syncProtocol.readSyncStep1(decoder, encoder, session.doc);
+      }
+
+      if (encoding.length(encoder) > 1) {
+        send(ws, encoding.toUint8Array(encoder));
+      }
+      break;
+    }
+
+    case MESSAGE_AWARENESS:
+      awarenessProtocol.applyAwarenessUpdate(session.awareness, decoding.readVarUint8Array(decoder), ws);
+      break;
+  }
+};
+
+/**
+ * Join a client socket to a file's collaborative session
+ * Viewers receive edits and awareness but cannot change the document.
+ */
+const joinSession = async (ws, file, { user, canEdit }) => {
+  // Queue messages sent while the session loads (clients start syncing right away)
+  const pending = [];
+  const queueMessage = (data) => pending.push(data);
+  ws.on('message', queueMessage);
+
+  const session = await getSession(file);
+  ws.off('message', queueMessage);
+
+  const client = { user, canEdit, awarenessIds: new Set() };
+
+  const onMessage = (data) => {
+    try {
+      handleMessage(session, ws, client, data);
+    } catch (error) {
+      console.error(`Invalid collaborative message for file ${session.fileId}:`, error);
+      ws.close(1003, 'Invalid message');
+    }
+  };
+
+  const onClose = () => {
+    session.clients.delete(ws);
+    awarenessProtocol.removeAwarenessStates(session.awareness, [...client.awarenessIds], null);
+
+    // Keep the session warm for a while in case the client reconnects
+    if (session.clients.size === 0 && !session.destroyed) {
+      scheduleEviction(session);
+    }
+  };
+
+  // The client may have left while the session was loading
+  if (ws.readyState !== ws.OPEN) {
+    onClose();
+    return session;
+  }
+
+  clearTimeout(session.idleTimer);
+  session.idleTimer = null;
+  session.clients.set(ws, client);
+  ws.on('message', onMessage);
+  ws.on('close', onClose);
+
+  // Start the sync handshake and share who else is here
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_SYNC);
+  syncProtocol.writeSyncStep1(encoder, session.doc);
+  send(ws, encoding.toUint8Array(encoder));
+
+  const states = session.awareness.getStates();
+  if (states.size > 0) {
+    const awarenessEncoder = encoding.createEncoder();
+    encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(
+      awarenessEncoder,
+      awarenessProtocol.encodeAwarenessUpdate(session.awareness, [...states.keys()])
+    );
+    send(ws, encoding.toUint8Array(awarenessEncoder));
+  }
+
+  pending.forEach(onMessage);
+
+  return session;
+};
+
+/**
+ * Persist and close every session (used on shutdown)
+ */
+const closeAllSessions = async () => {
+  await Promise.all([...sessions.values()].map(session =>
+    destroySession(session, { code: 1001, reason: 'Server shutting down', persist: true }).catch(error => {
+      console.error(`Failed to persist collaborative session for file ${session.fileId}:`, error);
+    })
+  ));
+};
+
+module.exports = {
+  joinSession,
+  closeAllSessions
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const FileContent = require('../models/FileContent');
+
+/**
+ * Upload file content to MongoDB
+ */
+const uploadFile = async (key, content, contentType = 'text/plain') => {
+  try {
+    const body = Buffer.isBuffer(content) ? content.toString('utf-8') : (content || '');
+
+    await FileContent.findOneAndUpdate(
+      { key },
+      {
+        content: body,
+        contentType,
+        size: Buffer.byteLength(body, 'utf8'),
+        etag: crypto.createHash('md5').update(body).digest('hex')
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`✅ File stored in database: ${key}`);
+    return key;
+  } catch (error) {
+    console.error(`❌ Database storage upload error for key ${key}:`, error.message);
+    throw new Error(`Failed to upload file: ${error.message}`);
+  }
+};
+
+/**
+ * Read file content from MongoDB
+ */
+const getFile = async (key) => {
+  const file = await FileContent.findOne({ key }).select('content').lean();
+  if (!file) {
+    throw new Error(`File not found: ${key}`);
+  }
+  return file.content;
+};
+
+/**
+ * Delete file content from MongoDB
+ */
+const deleteFile = async (key) => {
+  try {
+    await FileContent.deleteOne({ key });
+    console.log(`🗑️  File deleted from database storage: ${key}`);
+  } catch (error) {
+    console.error(`❌ Database storage delete error for key ${key}:`, error);
+    throw new Error(`Failed to delete file: ${error.message}`);
+  }
+};
+
+/**
+ * Delete multiple files from MongoDB
+ */
+const deleteFiles = async (keys) => {
+  if (!keys || keys.length === 0) {
+    return;
+  }
+
+  try {
+    const result = await FileContent.deleteMany({ key: { $in: keys } });
+    console.log(`🗑️  ${result.deletedCount} files deleted from database storage`);
+  } catch (error) {
+    console.error('❌ Database storage batch delete error:', error);
+    throw new Error(`Failed to delete files: ${error.message}`);
+  }
+};
+
+/**
+ * Check if file content exists in MongoDB
+ */
+const fileExists = async (key) => {
+  const exists = await FileContent.exists({ key });
+  return !!exists;
+};
+
+/**
+ * Get file metadata from MongoDB
+ */
+const getFileMetadata = async (key) => {
+  const file = await FileContent.findOne({ key }).select('-content').lean();
+  if (!file) {
+    throw new Error(`File not found: ${key}`);
+  }
+
+  return {
+    size: file.size,
+    lastModified: file.updatedAt,
+    contentType: file.contentType,
+    etag: file.etag
+  };
+};
+
+/**
+ * Copy file content within MongoDB
+ */
+const copyFile = async (sourceKey, destinationKey) => {
+  try {
+    const source = await FileContent.findOne({ key: sourceKey }).lean();
+    if (!source) {
+      throw new Error(`File not found: ${sourceKey}`);
+    }
+
+    await FileContent.findOneAndUpdate(
+      { key: destinationKey },
+      {
+        content: source.content,
+        contentType: source.contentType,
+        size: source.size,
+        etag: source.etag
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`📋 File copied from ${sourceKey} to ${destinationKey}`);
+  } catch (error) {
+    console.error(`❌ Database storage copy error:`, error);
+    throw new Error(`Failed to copy file: ${error.message}`);
+  }
+};
+
+module.exports = {
+  uploadFile,
+  getFile,
+  deleteFile,
+  deleteFiles,
+  fileExists,
+  getFileMetadata,
+  copyFile
+};
@@ -0,0 +1,158 @@
+const { EventEmitter } = require('events');
+const eventConfig = require('../config/events');
+const { getFilePath } = require('../utils/fileHierarchy');
+
+// In-memory project change feed; events are lost on restart and clients resync
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Event ids are "<epoch>-<seq>": the epoch changes on every start, so ids from before
+// a restart are recognised (and answered with a reset) instead of matching new events
+const EPOCH = Date.now().toString(36);
+let lastSeq = 0;
+
+// projectId -> { events: [...], truncatedAt: seq of the newest dropped event, updatedAt }
+// Kept in least recently published order, so idle buffers are at the front
+const buffers = new Map();
+// Newest seq of any buffer evicted for being idle
+let evictedThrough = 0;
+
+/**
+ * Drop the buffers of projects without events for EVENT_BUFFER_IDLE_MS
+ */
+const evictIdleBuffers = (now = Date.now()) => {
+  for (const [key, buffer] of buffers) {
+    if (now - buffer.updatedAt < eventConfig.bufferIdleTimeout) {
+      break;
+    }
+    const last = buffer.events[buffer.events.length - 1];
+    evictedThrough = Math.max(evictedThrough, last ? last.seq : buffer.truncatedAt);
+    buffers.delete(key);
+  }
+};
+
+setInterval(evictIdleBuffers, Math.min(eventConfig.bufferIdleTimeout, 60 * 1000)).unref();
+
+/**
+ * Publish an event to everyone following a project
+ */
+const publishProjectEvent = (projectId, type, data = {}) => {
+  const key = projectId.toString();
+  const seq = ++lastSeq;
+  const event = {
+    id: `${EPOCH}-${seq}`,
+    seq,
+    type,
+    data: {
+      ...data,
+      projectId: key,
+      timestamp: new Date().toISOString()
+    }
+  };
+
+  // Events before a new buffer may have been in an evicted one
+  const buffer = buffers.get(key) || { events: [], truncatedAt: evictedThrough };
+  buffers.delete(key);
+  buffers.set(key, buffer);
+  buffer.updatedAt = Date.now();
+
+  buffer.events.push(event);
+  if (buffer.events.length > eventConfig.bufferSize) {
+    buffer.truncatedAt = buffer.events.shift().seq;
+  }
+
+  emitter.emit(key, event);
+  return event;
+};
+
+/**
+ * Publish a file change (change: created, updated or deleted)
+ * The path is looked up when not given (pass it for deleted files).
+ * Best effort: a failure here never fails the change itself.
+ */
+const publishFileEvent = async (change, file, { path, previousPath, changes, actorId, ...extra } = {}) => {
+  try {
+    const filePath = path !== undefined ? path : await getFilePath(file._id);
+
+    return publishProjectEvent(file.projectId, 'file', {
+      change,
+      fileId: file._id.toString(),
+      fileType: file.type,
+      name: file.name,
+      parentId: file.parentId ? file.parentId.toString() : null,
+      path: filePath,
+      ...(previousPath && previousPath !== filePath && { previousPath }),
+      ...(changes && { changes }),
+      version: file.version || 0,
+      actorId: actorId ? actorId.toString() : null,
+      ...extra
+    });
+  } catch (error) {
+    console.error(`Failed to publish ${change} event for file ${file._id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Publish a project change (change: updated or deleted)
+ */
+const publishProjectChange = (change, project, { actorId, ...extra } = {}) => {
+  const event = publishProjectEvent(project._id, 'project', {
+    change,
+    name: project.name,
+    actorId: actorId ? actorId.toString() : null,
+    ...extra
+  });
+
+  // Nothing left to follow once the project is gone
+  if (change === 'deleted') {
+    buffers.delete(project._id.toString());
+  }
+
+  return event;
+};
+
+/**
+ * Get buffered events after a client's last-seen event ID
+ * complete is false when events may have been missed (dropped from the buffer, or
+ * the ID is from before a restart) and the client has to reload the project instead of resuming.
+ */
+const getEventsSince = (projectId, lastSeenId) => {
+  if (lastSeenId === undefined || lastSeenId === null || lastSeenId === '') {
+    return { events: [], complete: true };
+  }
+
+  const [epoch, rawSeq] = String(lastSeenId).split('-');
+  const since = Number(rawSeq);
+  if (epoch !== EPOCH || !Number.isInteger(since) || since < 0 || since > lastSeq) {
+    return { events: [], complete: false };
+  }
+
+  const buffer = buffers.get(projectId.toString());
+  if (!buffer) {
+    return { events: [], complete: since >= evictedThrough };
+  }
+
+  return {
+    events: buffer.events.filter(event => event.seq > since),
+    complete: since >= buffer.truncatedAt
+  };
+};
+
+/**
+ * Follow a project's events; returns an unsubscribe function
+ */
+const subscribe = (projectId, listener) => {
+  const key = projectId.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+module.exports = {
+  publishProjectEvent,
+  publishFileEvent,
+  publishProjectChange,
+  getEventsSince,
+  evictIdleBuffers,
+  subscribe
+};
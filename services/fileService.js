@@ -0,0 +1,466 @@
+const mongoose = require('mongoose');
+const FileMetadata = require('../models/FileMetadata');
+const storageService = require('./storageService');
+const {
+  hashContent,
+  recordRevision,
+  recordRevisionFromKey,
+  discardRevision,
+  deleteRevisionsForFiles
+} = require('./revisionService');
+const { indexFileContent, removeFromIndex, copyIndexEntries } = require('./searchService');
+const { handleDatabaseOperation } = require('../utils/database');
+const { getMimeType } = require('../utils/mimeTypes');
+const { formatETag } = require('../utils/etag');
+const {
+  buildFileTree,
+  validateHierarchyOperation,
+  getAllDescendants,
+  generateUniqueName
+} = require('../utils/fileHierarchy');
+
+// Simple UUID v4 replacement using crypto
+const uuidv4 = () => {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c == 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+};
+
+/**
+ * Keep the search index in step with a file's content (best effort; search re-indexes stale files)
+ */
+const updateSearchIndex = async (file, content) => {
+  try {
+    await indexFileContent(file, content);
+  } catch (indexError) {
+    console.error(`Failed to index ${file.name} for search:`, indexError);
+  }
+};
+
+/**
+ * Create a file: store its content, create metadata and record the initial revision
+ */
+const createFileWithContent = async ({ projectId, name, parentId = null, content = '' }, { authorId = null } = {}) => {
+  const s3Key = storageService.generateS3Key(projectId, uuidv4());
+  const mimeType = getMimeType(name);
+
+  try {
+    await storageService.uploadFile(s3Key, content, mimeType);
+  } catch (storageError) {
+    const error = new Error(`Failed to store content for ${name}`);
+    error.statusCode = 502;
+    error.code = 'STORAGE_UPLOAD_FAILED';
+    throw error;
+  }
+
+  const file = await handleDatabaseOperation(async () => {
+    return await FileMetadata.create({
+      projectId,
+      name,
+      type: 'file',
+      parentId: parentId || null,
+      s3Key,
+      size: Buffer.byteLength(content, 'utf8'),
+      mimeType,
+      version: 1,
+      contentHash: hashContent(content)
+    });
+  }, 'Failed to create file metadata');
+
+  // Record the initial revision of the file
+  try {
+    await recordRevision(file, content, authorId);
+  } catch (revisionError) {
+    console.error(`Failed to record initial revision for ${name}:`, revisionError);
+  }
+
+  await updateSearchIndex(file, content);
+
+  return file;
+};
+
+/**
+ * Create a folder (metadata only, no content storage)
+ */
+const createFolder = async ({ projectId, name, parentId = null }) => {
+  return await handleDatabaseOperation(async () => {
+    return await FileMetadata.create({
+      projectId,
+      name,
+      type: 'folder',
+      parentId: parentId || null
+    });
+  }, 'Failed to create folder metadata');
+};
+
+/**
+ * Resolve a folder path like ["src", "components"], creating missing folders (mkdir -p)
+ * Returns the ID of the deepest folder, or null for the project root.
+ * folderCache maps already-resolved paths to folder IDs across calls.
+ */
+const ensureFolderPath = async (projectId, segments, folderCache = new Map()) => {
+  let parentId = null;
+  let currentPath = '';
+
+  for (const segment of segments) {
+    currentPath = currentPath ? `${currentPath}/${segment}` : segment;
+
+    if (folderCache.has(currentPath)) {
+      parentId = folderCache.get(currentPath);
+      continue;
+    }
+
+    const existing = await FileMetadata.findOne({ projectId, name: segment, parentId });
+
+    if (existing && existing.type !== 'folder') {
+      const error = new Error(`"${currentPath}" is a file, not a folder`);
+      error.statusCode = 409;
+      error.code = 'FILE_EXISTS';
+      throw error;
+    }
+
+    const folder = existing || await createFolder({ projectId, name: segment, parentId });
+    folderCache.set(currentPath, folder._id);
+    parentId = folder._id;
+  }
+
+  return parentId;
+};
+
+/**
+ * Clone file and folder documents into a project with fresh IDs and storage keys
+ * Parent links inside the cloned set are remapped; entries whose parent is not part
+ * of the set are attached to rootParentId. nameOverrides maps source ID -> new name.
+ */
+const cloneFiles = async (files, { projectId, rootParentId = null, nameOverrides = new Map(), authorId = null }) => {
+  const idMap = new Map(files.map(file => [file._id.toString(), new mongoose.Types.ObjectId()]));
+  const copiedKeys = [];
+
+  const docs = files.map(file => {
+    const sourceId = file._id.toString();
+    const parentId = file.parentId ? file.parentId.toString() : null;
+    const name = nameOverrides.get(sourceId) || file.name;
+
+    return {
+      _id: idMap.get(sourceId),
+      projectId,
+      name,
+      type: file.type,
+      parentId: parentId && idMap.has(parentId) ? idMap.get(parentId) : rootParentId,
+      s3Key: file.type === 'file' ? storageService.generateS3Key(projectId, uuidv4()) : undefined,
+      size: file.size,
+      mimeType: file.mimeType,
+      version: file.type === 'file' ? 1 : 0,
+      contentHash: file.contentHash,
+      sourceKey: file.s3Key
+    };
+  });
+
+  // insertMany skips save hooks, so place each copy in the hierarchy here: entries
+  // attached to rootParentId first, then everything below them through the copied parents
+  const docMap = new Map(docs.map(doc => [doc._id.toString(), doc]));
+  for (const doc of docs.filter(item => !docMap.has(String(item.parentId)))) {
+    Object.assign(doc, await FileMetadata.resolveHierarchy(rootParentId, doc.name));
+  }
+
+  const placeDoc = (doc) => {
+    if (doc.path === undefined) {
+      const parent = placeDoc(docMap.get(doc.parentId.toString()));
+      doc.ancestors = [...parent.ancestors, parent._id];
+      doc.path = `${parent.path}/${doc.name}`;
+    }
+    return doc;
+  };
+  docs.forEach(placeDoc);
+
+  try {
+    // Copy content before creating metadata so no file points at missing content
+    for (const doc of docs.filter(item => item.type === 'file')) {
+      try {
+        await storageService.copyFile(doc.sourceKey, doc.s3Key);
+      } catch (copyError) {
+        // Files created before storage was configured have no content to copy
+        if (await storageService.fileExists(doc.sourceKey)) {
+          throw copyError;
+        }
+        await storageService.uploadFile(doc.s3Key, '', doc.mimeType);
+        doc.size = 0;
+        doc.contentHash = hashContent('');
+      }
+      copiedKeys.push(doc.s3Key);
+    }
+
+    const cloned = await handleDatabaseOperation(async () => {
+      return await FileMetadata.insertMany(docs.map(({ sourceKey, ...doc }) => doc));
+    }, 'Failed to create cloned file metadata');
+
+    try {
+      await copyIndexEntries(idMap, projectId);
+    } catch (indexError) {
+      console.error('Failed to copy search index entries:', indexError);
+    }
+
+    // Record each copy's initial revision so its starting content can be restored
+    for (const file of cloned.filter(item => item.type === 'file')) {
+      try {
+        await recordRevisionFromKey(file, file.s3Key, authorId);
+      } catch (revisionError) {
+        console.error(`Failed to record initial revision for ${file.name}:`, revisionError);
+      }
+    }
+
+    return cloned;
+  } catch (error) {
+    if (copiedKeys.length > 0) {
+      try {
+        await storageService.deleteFiles(copiedKeys);
+      } catch (cleanupError) {
+        console.error('Failed to clean up copied content:', cleanupError);
+      }
+    }
+
+    if (error.statusCode) {
+      throw error;
+    }
+
+    console.error('Clone files error:', error);
+    const cloneError = new Error('Failed to copy file content');
+    cloneError.statusCode = 502;
+    cloneError.code = 'STORAGE_COPY_FAILED';
+    throw cloneError;
+  }
+};
+
+/**
+ * Copy a file, or a folder with everything below it, within its project
+ * The copy is renamed ("name (1).ext") if its name is taken in the destination folder.
+ * Returns the copied subtree.
+ */
+const copyFileTree = async (file, { parentId = null, name }, { authorId = null } = {}) => {
+  try {
+    await validateHierarchyOperation(file._id, parentId, file.projectId);
+  } catch (error) {
+    if (error.code === 'INVALID_MOVE') {
+      error.code = 'INVALID_COPY';
+      error.message = 'Cannot copy folder into itself or its own descendant';
+    }
+    throw error;
+  }
+
+  const copyName = await generateUniqueName(file.projectId, name || file.name, parentId);
+
+  const descendants = file.type === 'folder'
+    ? await handleDatabaseOperation(() => getAllDescendants(file._id), 'Failed to fetch folder contents')
+    : [];
+
+  const cloned = await cloneFiles([file, ...descendants], {
+    projectId: file.projectId,
+    rootParentId: parentId || null,
+    nameOverrides: new Map([[file._id.toString(), copyName]]),
+    authorId
+  });
+
+  const [tree] = buildFileTree(cloned, parentId);
+
+  return { tree, copiedFiles: cloned.length };
+};
+
+/**
+ * Build the 412 error for a save based on an outdated version
+ * Carries the current version and content so the client can offer a merge.
+ */
+const versionConflictError = async (fileId) => {
+  const current = await FileMetadata.findById(fileId).select('-__v');
+  if (!current) {
+    const error = new Error('File not found');
+    error.statusCode = 404;
+    error.code = 'FILE_NOT_FOUND';
+    return error;
+  }
+
+  let content = '';
+  try {
+    content = await storageService.getFile(current.s3Key);
+  } catch (storageError) {
+    console.log(`⚠️  Storage download failed for ${current.name}, reporting empty content`);
+  }
+
+  const error = new Error('File has been modified since it was loaded');
+  error.statusCode = 412;
+  error.code = 'VERSION_CONFLICT';
+  error.current = {
+    version: current.version || 0,
+    etag: formatETag(current),
+    file: current,
+    content
+  };
+  return error;
+};
+
+// Saves without an expected version retry this often when other saves keep winning
+const SAVE_ATTEMPTS = 5;
+
+/**
+ * Save new content for an existing file
+ * The content is written to a new storage key, then the key, version and content metadata
+ * switch in one atomic update conditioned on the version it was read at, so interleaved
+ * saves can never leave the stored content and its metadata out of step. The previous
+ * content is deleted once the switch succeeded, and a revision is recorded.
+ * With expectedVersion the save only succeeds if nobody saved in between (412 otherwise).
+ * Every content write (editor saves, restores, ...) should go through here.
+ */
+const saveFileContent = async (file, content, { authorId = null, expectedVersion = null } = {}) => {
+  if (file.type !== 'file' || !file.s3Key) {
+    const error = new Error('Cannot save content of a folder');
+    error.statusCode = 400;
+    error.code = 'INVALID_OPERATION';
+    throw error;
+  }
+
+  const contentKey = storageService.generateS3Key(file.projectId, uuidv4());
+  try {
+    await storageService.uploadFile(contentKey, content, file.mimeType);
+  } catch (storageError) {
+    console.error(`Failed to store content for ${file.name}:`, storageError);
+    const error = new Error(`Failed to store content for ${file.name}`);
+    error.statusCode = 502;
+    error.code = 'STORAGE_UPLOAD_FAILED';
+    throw error;
+  }
+
+  const discardContent = () => storageService.deleteFile(contentKey).catch(cleanupError => {
+    console.error(`Failed to remove unsaved content of ${file.name}:`, cleanupError);
+  });
+
+  // Switch to the new content unless another save moved the version on since it was read
+  let previous;
+  let updatedFile = null;
+  for (let attempt = 1; !updatedFile; attempt++) {
+    previous = await handleDatabaseOperation(async () => {
+      return await FileMetadata.findById(file._id).select('version s3Key size contentHash');
+    }, 'Failed to fetch file metadata');
+
+    const currentVersion = previous ? previous.version || 0 : null;
+    if (!previous || (expectedVersion !== null && currentVersion !== expectedVersion)) {
+      await discardContent();
+      throw await versionConflictError(file._id);
+    }
+
+    updatedFile = await handleDatabaseOperation(async () => {
+      return await FileMetadata.findOneAndUpdate(
+        { _id: file._id, version: currentVersion === 0 ? { $in: [0, null] } : currentVersion },
+        {
+          $set: {
+            s3Key: contentKey,
+            version: currentVersion + 1,
+            size: Buffer.byteLength(content, 'utf8'),
+            contentHash: hashContent(content)
+          }
+        },
+        { new: true, runValidators: true }
+      ).select('-__v');
+    }, 'Failed to update file metadata');
+
+    if (!updatedFile && (expectedVersion !== null || attempt >= SAVE_ATTEMPTS)) {
+      await discardContent();
+      throw await versionConflictError(file._id);
+    }
+  }
+
+  let revision;
+  try {
+    revision = await recordRevision(updatedFile, content, authorId);
+  } catch (storageError) {
+    console.error(`Failed to record revision for ${file.name}:`, storageError);
+
+    // Switch back to the previous content, unless a later save already replaced ours
+    try {
+      const result = await FileMetadata.updateOne(
+        { _id: file._id, version: updatedFile.version },
+        {
+          $set: {
+            s3Key: previous.s3Key,
+            version: previous.version || 0,
+            size: previous.size,
+            contentHash: previous.contentHash
+          }
+        }
+      );
+      if (result.modifiedCount > 0) {
+        await discardContent();
+      }
+    } catch (rollbackError) {
+      console.error(`Failed to roll back version of ${file.name}:`, rollbackError);
+    }
+
+    const error = new Error(`Failed to store content for ${file.name}`);
+    error.statusCode = 502;
+    error.code = 'STORAGE_UPLOAD_FAILED';
+    throw error;
+  }
+
+  try {
+    await storageService.deleteFile(previous.s3Key);
+  } catch (storageError) {
+    console.error(`Failed to remove previous content of ${file.name}:`, storageError);
+  }
+
+  await updateSearchIndex(updatedFile, content);
+
+  return { file: updatedFile, revision };
+};
+
+/**
+ * Permanently delete files and folders with their content, revisions and index entries
+ * Returns { deletedFiles, deletedS3Objects }
+ */
+const purgeFiles = async (files) => {
+  // Collect storage keys from files (not folders)
+  const s3Keys = files
+    .filter(item => item.s3Key)
+    .map(item => item.s3Key);
+
+  // Delete files from storage
+  if (s3Keys.length > 0) {
+    try {
+      await storageService.deleteFiles(s3Keys);
+    } catch (storageError) {
+      console.error('Storage deletion error (continuing with database cleanup):', storageError);
+    }
+  }
+
+  // Delete revision history and search index entries of every removed file
+  try {
+    await deleteRevisionsForFiles(files.map(item => item._id));
+  } catch (revisionError) {
+    console.error('Revision cleanup error (continuing with database cleanup):', revisionError);
+  }
+
+  try {
+    await removeFromIndex(files.map(item => item._id));
+  } catch (indexError) {
+    console.error('Search index cleanup error (continuing with database cleanup):', indexError);
+  }
+
+  await handleDatabaseOperation(async () => {
+    await FileMetadata.deleteMany({ _id: { $in: files.map(item => item._id) } });
+  }, 'Failed to delete files');
+
+  return {
+    deletedFiles: files.length,
+    deletedS3Objects: s3Keys.length
+  };
+};
+
+module.exports = {
+  createFileWithContent,
+  createFolder,
+  ensureFolderPath,
+  cloneFiles,
+  copyFileTree,
+  saveFileContent,
+  versionConflictError,
+  purgeFiles
+};
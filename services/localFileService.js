@@ -0,0 +1,183 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const storageConfig = require('../config/storage');
+
+const ROOT_DIR = storageConfig.local.rootDir;
+const METADATA_SUFFIX = '.meta.json';
+
+/**
+ * Resolve a storage key to an absolute path inside the storage root
+ * Keys must be plain relative paths: "..", "." and empty segments would let a key
+ * reach another key's file (e.g. "projects/a/files/1/../../../b/files/2").
+ */
+const resolveKeyPath = (key) => {
+  const segments = String(key).split(/[\\/]/);
+  if (segments.some(segment => segment === '' || segment === '.' || segment === '..' || segment.includes('\0'))) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  const filePath = path.resolve(ROOT_DIR, ...segments);
+
+  // Never allow keys to escape the storage root (e.g. "../../etc/passwd")
+  if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * Read the sidecar metadata stored next to a file
+ */
+const readMetadata = async (filePath) => {
+  try {
+    const raw = await fs.readFile(filePath + METADATA_SUFFIX, 'utf-8');
+    return JSON.parse(raw);
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Upload file content to local disk
+ */
+const uploadFile = async (key, content, contentType = 'text/plain') => {
+  try {
+    const filePath = resolveKeyPath(key);
+    const body = Buffer.isBuffer(content) ? content : Buffer.from(content || '', 'utf-8');
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    await fs.writeFile(filePath + METADATA_SUFFIX, JSON.stringify({
+      contentType,
+      etag: crypto.createHash('md5').update(body).digest('hex')
+    }));
+
+    console.log(`✅ File stored locally: ${key}`);
+    return filePath;
+  } catch (error) {
+    console.error(`❌ Local storage upload error for key ${key}:`, error.message);
+    throw new Error(`Failed to upload file: ${error.message}`);
+  }
+};
+
+/**
+ * Read file content from local disk
+ */
+const getFile = async (key) => {
+  try {
+    return await fs.readFile(resolveKeyPath(key), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`File not found: ${key}`);
+    }
+    console.error(`❌ Local storage read error for key ${key}:`, error);
+    throw new Error(`Failed to download file: ${error.message}`);
+  }
+};
+
+/**
+ * Delete file from local disk
+ */
+const deleteFile = async (key) => {
+  try {
+    const filePath = resolveKeyPath(key);
+    await fs.rm(filePath, { force: true });
+    await fs.rm(filePath + METADATA_SUFFIX, { force: true });
+    console.log(`🗑️  File deleted from local storage: ${key}`);
+  } catch (error) {
+    console.error(`❌ Local storage delete error for key ${key}:`, error);
+    throw new Error(`Failed to delete file: ${error.message}`);
+  }
+};
+
+/**
+ * Delete multiple files from local disk
+ */
+const deleteFiles = async (keys) => {
+  if (!keys || keys.length === 0) {
+    return;
+  }
+
+  const results = await Promise.allSettled(keys.map(key => deleteFile(key)));
+  const failed = results.filter(result => result.status === 'rejected');
+
+  console.log(`🗑️  ${keys.length - failed.length} files deleted from local storage`);
+
+  if (failed.length > 0) {
+    console.error('❌ Some files failed to delete:', failed.map(result => result.reason.message));
+  }
+};
+
+/**
+ * Check if file exists on local disk
+ */
+const fileExists = async (key) => {
+  try {
+    await fs.access(resolveKeyPath(key));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get file metadata from local disk
+ */
+const getFileMetadata = async (key) => {
+  try {
+    const filePath = resolveKeyPath(key);
+    const stats = await fs.stat(filePath);
+    const metadata = await readMetadata(filePath);
+
+    return {
+      size: stats.size,
+      lastModified: stats.mtime,
+      contentType: metadata.contentType || 'text/plain',
+      etag: metadata.etag
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`File not found: ${key}`);
+    }
+    throw new Error(`Failed to get file metadata: ${error.message}`);
+  }
+};
+
+/**
+ * Copy file within local storage
+ */
+const copyFile = async (sourceKey, destinationKey) => {
+  try {
+    const sourcePath = resolveKeyPath(sourceKey);
+    const destinationPath = resolveKeyPath(destinationKey);
+
+    await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+    await fs.copyFile(sourcePath, destinationPath);
+
+    try {
+      await fs.copyFile(sourcePath + METADATA_SUFFIX, destinationPath + METADATA_SUFFIX);
+    } catch (metadataError) {
+      // Metadata sidecar is optional
+    }
+
+    console.log(`📋 File copied from ${sourceKey} to ${destinationKey}`);
+  } catch (error) {
+    console.error(`❌ Local storage copy error:`, error);
+    throw new Error(`Failed to copy file: ${error.message}`);
+  }
+};
+
+module.exports = {
+  uploadFile,
+  getFile,
+  deleteFile,
+  deleteFiles,
+  fileExists,
+  getFileMetadata,
+  copyFile
+};
@@ -0,0 +1,88 @@
+const FileMetadata = require('../models/FileMetadata');
+const { handleDatabaseOperation } = require('../utils/database');
+const {
+  validateHierarchyOperation,
+  isFileDescendant,
+  getFilePath,
+  generateUniqueName
+} = require('../utils/fileHierarchy');
+const { trashFileTree } = require('./trashService');
+
+/**
+ * Move and/or rename a file or folder
+ * Name conflicts at the destination are handled per onConflict:
+ * - fail: 409 FILE_EXISTS
+ * - rename: the moved item gets a unique name ("name (1).ext")
+ * - overwrite: the existing item (of the same type) is moved to the trash
+ */
+const moveFileTree = async (file, { parentId = null, name, onConflict = 'fail' }, { userId = null } = {}) => {
+  const targetName = name || file.name;
+
+  await validateHierarchyOperation(file._id, parentId, file.projectId);
+
+  const previousPath = await getFilePath(file._id);
+
+  const sameParent = String(parentId || null) === String(file.parentId || null);
+  if (sameParent && targetName === file.name) {
+    return { file, path: previousPath, previousPath, moved: false, replaced: null };
+  }
+
+  let finalName = targetName;
+  let replaced = null;
+
+  const existing = await handleDatabaseOperation(async () => {
+    return await FileMetadata.findOne({
+      projectId: file.projectId,
+      name: targetName,
+      parentId: parentId || null,
+      _id: { $ne: file._id }
+    });
+  }, 'Failed to check for name conflicts');
+
+  if (existing && onConflict === 'rename') {
+    finalName = await generateUniqueName(file.projectId, targetName, parentId, file._id);
+  } else if (existing && onConflict === 'overwrite') {
+    let message = null;
+    if (existing.type !== file.type) {
+      message = `Cannot overwrite a ${existing.type} with a ${file.type}`;
+    } else if (await isFileDescendant(file._id, existing._id)) {
+      message = `Cannot overwrite "${targetName}" because it contains the ${file.type} being moved`;
+    }
+    if (message) {
+      const error = new Error(message);
+      error.statusCode = 409;
+      error.code = 'FILE_EXISTS';
+      throw error;
+    }
+
+    const existingPath = await getFilePath(existing._id);
+    const { trashedFiles } = await trashFileTree(existing, userId);
+    replaced = { file: existing, path: existingPath, trashedFiles };
+  } else if (existing) {
+    const error = new Error(`A ${existing.type} with the name "${targetName}" already exists in this location`);
+    error.statusCode = 409;
+    error.code = 'FILE_EXISTS';
+    throw error;
+  }
+
+  const movedFile = await handleDatabaseOperation(async () => {
+    const updated = await FileMetadata.findByIdAndUpdate(
+      file._id,
+      { name: finalName, parentId: parentId || null },
+      { new: true, runValidators: true }
+    ).select('-__v');
+    return await FileMetadata.syncHierarchy(updated);
+  }, 'Failed to move file');
+
+  return {
+    file: movedFile,
+    path: movedFile.path,
+    previousPath,
+    moved: true,
+    replaced
+  };
+};
+
+module.exports = {
+  moveFileTree
+};
@@ -0,0 +1,98 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const textMatching = require('../utils/textMatching');
+const searchConfig = require('../config/search');
+
+const WORKER_PATH = path.join(__dirname, 'patternWorker.js');
+
+/**
+ * Build the error for a pattern that ran out of time
+ */
+const patternTimeoutError = () => {
+  const error = new Error('The regular expression took too long to run; try a simpler pattern');
+  error.statusCode = 400;
+  error.code = 'PATTERN_TIMEOUT';
+  return error;
+};
+
+/**
+ * Create a matcher for one search or replace: run(method, ...args) calls utils/textMatching
+ * User-supplied regexes can backtrack for ever (e.g. "(a+)+$"), so they run in a worker
+ * thread that is stopped once the operation's matching time budget is spent, instead of blocking
+ * the event loop. Literal patterns are escaped, cannot backtrack and run inline.
+ * close() must be called when the operation is done.
+ */
+const createPatternMatcher = ({ regex = false, timeout = searchConfig.regexTimeout } = {}) => {
+  if (!regex) {
+    return {
+      run: async (method, ...args) => textMatching[method](...args),
+      close: () => {}
+    };
+  }
+
+  // Only time spent matching counts against the budget, not the I/O between calls
+  let spent = 0;
+  let worker = null;
+  let nextId = 0;
+
+  const close = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  };
+
+  const run = (method, ...args) => new Promise((resolve, reject) => {
+    const remaining = timeout - spent;
+    if (remaining <= 0) {
+      close();
+      return reject(patternTimeoutError());
+    }
+
+    if (!worker) {
+      worker = new Worker(WORKER_PATH);
+    }
+    const current = worker;
+    const id = nextId++;
+    const startedAt = Date.now();
+
+    const cleanup = () => {
+      spent += Date.now() - startedAt;
+      clearTimeout(timer);
+      current.off('message', onMessage);
+      current.off('error', onError);
+    };
+    const onMessage = (message) => {
+      if (message.id !== id) {
+        return;
+      }
+      cleanup();
+      if (message.error) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.result);
+      }
+    };
+    const onError = (error) => {
+      cleanup();
+      close();
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      spent = timeout;
+      close();
+      reject(patternTimeoutError());
+    }, remaining);
+
+    current.on('message', onMessage);
+    current.on('error', onError);
+    current.postMessage({ id, method, args });
+  });
+
+  return { run, close };
+};
+
+module.exports = {
+  createPatternMatcher
+};
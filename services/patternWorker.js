@@ -0,0 +1,11 @@
+const { parentPort } = require('worker_threads');
+const textMatching = require('../utils/textMatching');
+
+// Runs text matching for services/patternMatcher, one request at a time
+parentPort.on('message', ({ id, method, args }) => {
+  try {
+    parentPort.postMessage({ id, result: textMatching[method](...args) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,316 @@
+const path = require('path');
+const esbuild = require('esbuild');
+const { init: initLexer, parse: parseImports } = require('es-module-lexer');
+const FileMetadata = require('../models/FileMetadata');
+const storageService = require('./storageService');
+const { hashContent } = require('./revisionService');
+const { handleDatabaseOperation } = require('../utils/database');
+const { buildPathMap } = require('../utils/fileHierarchy');
+const previewConfig = require('../config/preview');
+
+// esbuild loader per extension (plain .js may contain JSX, as in Create React App)
+const MODULE_LOADERS = {
+  js: 'jsx',
+  jsx: 'jsx',
+  mjs: 'js',
+  ts: 'ts',
+  tsx: 'tsx'
+};
+
+// Extensions tried, in order, for imports written without one
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.json'];
+
+// Compiled output per file path and content hash, least recently used first
+const transformCache = new Map();
+
+const getExtension = (fileName) => path.posix.extname(fileName).slice(1).toLowerCase();
+
+/**
+ * Check whether a file is compiled before it is served
+ */
+const isModuleFile = (fileName) => Object.prototype.hasOwnProperty.call(MODULE_LOADERS, getExtension(fileName));
+
+/**
+ * Build a 422 COMPILE_ERROR from esbuild messages, with file/line details
+ */
+const compileError = (filePath, messages) => {
+  const details = messages.map(({ text, location }) => ({
+    file: (location && location.file) || filePath,
+    line: location ? location.line : null,
+    column: location ? location.column + 1 : null,
+    message: text,
+    lineText: location ? location.lineText : null
+  }));
+
+  const error = new Error(details.map(detail => {
+    const position = detail.line ? `${detail.file}:${detail.line}:${detail.column}` : detail.file;
+    const frame = detail.lineText !== null
+      ? `\n    ${detail.lineText}\n    ${' '.repeat(detail.column - 1)}^`
+      : '';
+    return `${position}: ${detail.message}${frame}`;
+  }).join('\n\n'));
+  error.statusCode = 422;
+  error.code = 'COMPILE_ERROR';
+  error.details = details;
+  return error;
+};
+
+/**
+ * Compile JSX/TypeScript to a plain ES module, using the cache when the content is unchanged
+ */
+const compileModule = async (filePath, content) => {
+  const cacheKey = `${filePath}:${hashContent(content)}`;
+  if (transformCache.has(cacheKey)) {
+    const code = transformCache.get(cacheKey);
+    transformCache.delete(cacheKey);
+    transformCache.set(cacheKey, code);
+    return code;
+  }
+
+  let result;
+  try {
+    result = await esbuild.transform(content, {
+      loader: MODULE_LOADERS[getExtension(filePath)],
+      format: 'esm',
+      jsx: 'automatic',
+      target: 'es2020',
+      sourcefile: filePath,
+      sourcemap: 'inline'
+    });
+  } catch (error) {
+    if (error.errors) {
+      throw compileError(filePath, error.errors);
+    }
+    throw error;
+  }
+
+  transformCache.set(cacheKey, result.code);
+  while (transformCache.size > previewConfig.transformCacheSize) {
+    transformCache.delete(transformCache.keys().next().value);
+  }
+
+  return result.code;
+};
+
+/**
+ * Load what import resolution needs: every file path and the dependency versions
+ * from the project's package.json. URLs are built under baseUrl.
+ */
+const loadProjectContext = async (project, baseUrl) => {
+  const files = await handleDatabaseOperation(async () => {
+    return await FileMetadata.find({ projectId: project._id });
+  }, 'Failed to fetch project files');
+
+  const pathMap = buildPathMap(files);
+  const paths = new Set(files.filter(file => file.type === 'file').map(file => pathMap.get(file._id.toString())));
+
+  let dependencies = {};
+  const packageFile = files.find(file => file.type === 'file' && pathMap.get(file._id.toString()) === 'package.json');
+  if (packageFile) {
+    try {
+      const packageJson = JSON.parse(await storageService.getFile(packageFile.s3Key));
+      dependencies = { ...packageJson.devDependencies, ...packageJson.dependencies };
+    } catch (error) {
+      console.log('⚠️  Could not read package.json for preview, using latest package versions');
+    }
+  }
+
+  return { baseUrl, pathMap, paths, dependencies };
+};
+
+/**
+ * Find the project file a relative or root-relative import refers to
+ */
+const resolveProjectPath = (context, target) => {
+  const candidates = [
+    target,
+    ...RESOLVE_EXTENSIONS.map(extension => `${target}${extension}`),
+    ...RESOLVE_EXTENSIONS.map(extension => `${target}/index${extension}`)
+  ];
+  return candidates.find(candidate => context.paths.has(candidate)) || null;
+};
+
+/**
+ * Map a bare import ("react", "react-dom/client") to a URL
+ */
+const resolveBareImport = (context, specifier) => {
+  const { importMap } = previewConfig;
+  if (importMap[specifier]) {
+    return importMap[specifier];
+  }
+
+  const prefix = Object.keys(importMap)
+    .filter(key => key.endsWith('/') && specifier.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix) {
+    return importMap[prefix] + specifier.slice(prefix.length);
+  }
+
+  const parts = specifier.split('/');
+  const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  const subpath = specifier.slice(name.length);
+  const version = context.dependencies[name];
+
+  // Only version numbers and ranges can be passed to the CDN
+  return typeof version === 'string' && /^[\^~>=<]*\d/.test(version)
+    ? `${previewConfig.cdnUrl}/${name}@${version}${subpath}`
+    : `${previewConfig.cdnUrl}/${specifier}`;
+};
+
+/**
+ * Rewrite an import specifier found in a project file to a URL the browser can load
+ */
+const resolveImport = (context, specifier, importerPath) => {
+  if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(specifier)) {
+    return specifier;
+  }
+
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (!isRelative && !specifier.startsWith('/')) {
+    return resolveBareImport(context, specifier);
+  }
+
+  const queryIndex = specifier.search(/[?#]/);
+  const target = queryIndex === -1 ? specifier : specifier.slice(0, queryIndex);
+  const query = queryIndex === -1 ? '' : specifier.slice(queryIndex);
+  const roots = isRelative ? [path.posix.dirname(importerPath)] : previewConfig.webRoots;
+
+  for (const root of roots) {
+    const targetPath = path.posix.join(root, target).replace(/^\/+/, '');
+    if (targetPath.startsWith('..')) {
+      return specifier;
+    }
+
+    const resolved = resolveProjectPath(context, targetPath);
+    if (resolved) {
+      // Stylesheets, JSON and other assets are loaded as generated modules
+      const asModule = !isModuleFile(resolved) && !query;
+      return `${context.baseUrl}/${resolved}${asModule ? '?import' : query}`;
+    }
+  }
+
+  // Unknown paths are left for the browser to report
+  const fallbackPath = path.posix.join(roots[0], target).replace(/^\/+/, '');
+  return `${context.baseUrl}/${fallbackPath}${query}`;
+};
+
+/**
+ * Rewrite every import in a compiled module
+ */
+const rewriteImports = async (code, context, importerPath) => {
+  await initLexer;
+  const [imports] = parseImports(code);
+
+  let output = '';
+  let lastIndex = 0;
+  imports.forEach(({ n: specifier, s: start, e: end, d: dynamicStart }) => {
+    // Skip import.meta and dynamic imports of computed values
+    if (!specifier || dynamicStart === -2) {
+      return;
+    }
+
+    const resolved = resolveImport(context, specifier, importerPath);
+    if (resolved === specifier) {
+      return;
+    }
+
+    // Dynamic import positions include the quotes
+    output += code.slice(lastIndex, start) + (dynamicStart > -1 ? JSON.stringify(resolved) : resolved);
+    lastIndex = end;
+  });
+
+  return output + code.slice(lastIndex);
+};
+
+/**
+ * Wrap a non-JavaScript file imported from a module (stylesheets are injected into the page)
+ */
+const renderAssetModule = (context, filePath, content) => {
+  switch (getExtension(filePath)) {
+    case 'css':
+      return [
+        `const css = ${JSON.stringify(content)};`,
+        'const style = document.createElement(\'style\');',
+        `style.setAttribute('data-preview-path', ${JSON.stringify(filePath)});`,
+        'style.textContent = css;',
+        'document.head.appendChild(style);',
+        'export default css;'
+      ].join('\n');
+
+    case 'json':
+      try {
+        return `export default ${JSON.stringify(JSON.parse(content))};`;
+      } catch (error) {
+        throw compileError(filePath, [{ text: `Invalid JSON: ${error.message}` }]);
+      }
+
+    default:
+      return `export default ${JSON.stringify(`${context.baseUrl}/${filePath}`)};`;
+  }
+};
+
+/**
+ * Point root-relative URLs in an HTML page at the preview, and load the app's entry
+ * script if the page has none of its own
+ */
+const renderHtml = (context, content) => {
+  let html = content
+    .replace(/(\s(?:src|href)\s*=\s*["'])\/(?!\/)/gi, `$1${context.baseUrl}/`)
+    .replace(/%PUBLIC_URL%/g, context.baseUrl);
+
+  if (!/<script[^>]*type\s*=\s*["']module["']/i.test(html)) {
+    const entry = previewConfig.entryScripts.find(entryPath => context.paths.has(entryPath));
+    if (entry) {
+      const script = `<script type="module" src="${context.baseUrl}/${entry}"></script>`;
+      html = /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${script}\n</body>`) : `${html}\n${script}`;
+    }
+  }
+
+  return html;
+};
+
+/**
+ * Turn a project file into what the browser should receive
+ * URLs of other project files are built under baseUrl (default: /preview/:projectId).
+ * Returns null for files served as stored; otherwise { body, contentType }.
+ */
+const renderPreviewFile = async (project, file, content, { asModule = false, baseUrl = `/preview/${project._id}` } = {}) => {
+  const extension = getExtension(file.name);
+  if (!isModuleFile(file.name) && !asModule && extension !== 'html' && extension !== 'htm') {
+    return null;
+  }
+
+  const context = await loadProjectContext(project, baseUrl);
+  const filePath = context.pathMap.get(file._id.toString());
+
+  if (isModuleFile(file.name)) {
+    const code = await compileModule(filePath, content);
+    return { body: await rewriteImports(code, context, filePath), contentType: 'application/javascript' };
+  }
+
+  if (asModule) {
+    return { body: renderAssetModule(context, filePath, content), contentType: 'application/javascript' };
+  }
+
+  return { body: renderHtml(context, content), contentType: 'text/html' };
+};
+
+/**
+ * Module served in place of one that failed to compile, so the error shows up in the preview
+ */
+const renderCompileErrorModule = (error) => {
+  return [
+    `const message = ${JSON.stringify(error.message)};`,
+    'const overlay = document.createElement(\'pre\');',
+    'overlay.style.cssText = \'position:fixed;inset:0;margin:0;padding:16px;overflow:auto;z-index:2147483647;' +
+      'background:#1e1e1e;color:#ff8080;font:13px/1.5 monospace;white-space:pre-wrap\';',
+    'overlay.textContent = \'Failed to compile\\n\\n\' + message;',
+    'document.body.appendChild(overlay);',
+    'throw new SyntaxError(message);'
+  ].join('\n');
+};
+
+module.exports = {
+  renderPreviewFile,
+  renderCompileErrorModule
+};
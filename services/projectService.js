@@ -0,0 +1,69 @@
+const Project = require('../models/Project');
+const FileMetadata = require('../models/FileMetadata');
+const storageService = require('./storageService');
+const { deleteRevisionsForFiles } = require('./revisionService');
+const { removeProjectFromIndex } = require('./searchService');
+const { deleteShareLinksForProject } = require('./shareService');
+const { handleDatabaseOperation } = require('../utils/database');
+
+/**
+ * Permanently delete a project with all its files, content and revisions
+ */
+const purgeProject = async (project) => {
+  // Get all files associated with the project, including trashed ones
+  const files = await handleDatabaseOperation(async () => {
+    return await FileMetadata.find({ projectId: project._id }).withTrashed();
+  }, 'Failed to fetch project files for deletion');
+
+  // Delete all files from storage
+  const s3Keys = files
+    .filter(file => file.s3Key) // Only files have s3Key, not folders
+    .map(file => file.s3Key);
+
+  if (s3Keys.length > 0) {
+    try {
+      await storageService.deleteFiles(s3Keys);
+    } catch (storageError) {
+      console.error('Storage deletion error (continuing with database cleanup):', storageError);
+      // Continue with database cleanup even if storage fails
+    }
+  }
+
+  // Delete revision history of every project file
+  try {
+    await deleteRevisionsForFiles(files.map(file => file._id));
+  } catch (revisionError) {
+    console.error('Revision cleanup error (continuing with database cleanup):', revisionError);
+  }
+
+  try {
+    await removeProjectFromIndex(project._id);
+  } catch (indexError) {
+    console.error('Search index cleanup error (continuing with database cleanup):', indexError);
+  }
+
+  try {
+    await deleteShareLinksForProject(project._id);
+  } catch (shareError) {
+    console.error('Share link cleanup error (continuing with database cleanup):', shareError);
+  }
+
+  // Delete all file metadata from database
+  await handleDatabaseOperation(async () => {
+    await FileMetadata.deleteMany({ projectId: project._id });
+  }, 'Failed to delete project files from database');
+
+  // Delete the project
+  await handleDatabaseOperation(async () => {
+    await Project.deleteOne({ _id: project._id });
+  }, 'Failed to delete project');
+
+  return {
+    deletedFiles: files.length,
+    deletedS3Objects: s3Keys.length
+  };
+};
+
+module.exports = {
+  purgeProject
+};
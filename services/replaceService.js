@@ -0,0 +1,132 @@
+const storageService = require('./storageService');
+const { saveFileContent } = require('./fileService');
+const { buildSearchPattern, getSearchableFiles, prepareSearch, forEachIndexedFile } = require('./searchService');
+const { createPatternMatcher } = require('./patternMatcher');
+const { formatETag } = require('../utils/etag');
+const searchConfig = require('../config/search');
+
+/**
+ * Preview a project-wide replace without writing anything
+ * Each file carries the version the preview was computed from, to be sent back when applying.
+ */
+const previewReplace = async (project, { replacement, ...options }) => {
+  const { pattern, filtered, contentFilter } = await prepareSearch(project, options);
+
+  // maxResults caps the number of changed lines returned
+  const files = [];
+  let totalLines = 0;
+  let totalReplacements = 0;
+  let truncated = false;
+
+  const matcher = createPatternMatcher({ regex: options.regex });
+  try {
+    await forEachIndexedFile(filtered, contentFilter, async ({ file, path }, content) => {
+      const { changes, replacements } = await matcher.run('replaceInContent', content, pattern, replacement, { regex: options.regex });
+      if (changes.length === 0) {
+        return true;
+      }
+
+      const remaining = searchConfig.maxResults - totalLines;
+      if (changes.length > remaining) {
+        changes.length = remaining;
+        truncated = true;
+      }
+
+      totalLines += changes.length;
+      totalReplacements += replacements;
+      files.push({
+        fileId: file._id,
+        path,
+        version: file.version || 0,
+        etag: formatETag(file),
+        replacements,
+        changes
+      });
+
+      return !truncated;
+    });
+  } finally {
+    matcher.close();
+  }
+
+  return {
+    files,
+    totalFiles: files.length,
+    totalReplacements,
+    truncated
+  };
+};
+
+/**
+ * Apply a replace to the selected files of a preview
+ * Each file is saved through the regular save path, and only if it is still at the
+ * previewed version; other files are applied regardless. Returns one result per selection.
+ */
+const applyReplace = async (project, { replacement, ...options }, selections, { authorId = null } = {}) => {
+  const pattern = buildSearchPattern(options.q, options);
+  const { filtered } = await getSearchableFiles(project._id);
+  const filesById = new Map(filtered.map(item => [item.file._id.toString(), item]));
+
+  const results = [];
+  const matcher = createPatternMatcher({ regex: options.regex });
+
+  try {
+    for (const { fileId, version, lines } of selections) {
+      const item = filesById.get(fileId.toString());
+      if (!item) {
+        results.push({ fileId, status: 'failed', error: { code: 'FILE_NOT_FOUND', message: 'File not found' } });
+        continue;
+      }
+
+      const { file, path } = item;
+      try {
+        if ((file.version || 0) !== version) {
+          const error = new Error('File has changed since the preview');
+          error.code = 'VERSION_CONFLICT';
+          throw error;
+        }
+
+        const content = await storageService.getFile(file.s3Key);
+        const replaced = await matcher.run('replaceInContent', content, pattern, replacement, { regex: options.regex, lines });
+
+        if (replaced.replacements === 0) {
+          results.push({ fileId: file._id, path, status: 'unchanged', replacements: 0 });
+          continue;
+        }
+
+        const { file: updatedFile } = await saveFileContent(file, replaced.content, {
+          authorId,
+          expectedVersion: version
+        });
+
+        results.push({
+          fileId: file._id,
+          path,
+          status: 'applied',
+          replacements: replaced.replacements,
+          file: updatedFile
+        });
+      } catch (error) {
+        console.error(`Replace failed for ${path}:`, error);
+        results.push({
+          fileId: file._id,
+          path,
+          status: error.code === 'VERSION_CONFLICT' ? 'conflict' : 'failed',
+          error: {
+            code: error.code || 'REPLACE_FAILED',
+            message: error.code === 'VERSION_CONFLICT' ? 'File has changed since the preview' : error.message
+          }
+        });
+      }
+    }
+  } finally {
+    matcher.close();
+  }
+
+  return results;
+};
+
+module.exports = {
+  previewReplace,
+  applyReplace
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+const FileRevision = require('../models/FileRevision');
+const storageService = require('./storageService');
+const revisionConfig = require('../config/revisions');
+
+/**
+ * Generate storage key for a revision's content
+ * Format: projects/{projectId}/revisions/{fileId}/{revision}
+ */
+const generateRevisionKey = (projectId, fileId, revision) => {
+  return `projects/${projectId}/revisions/${fileId}/${revision}`;
+};
+
+/**
+ * Hash file content (used to detect and label revisions)
+ */
+const hashContent = (content) => {
+  return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+};
+
+/**
+ * Create a revision record, then store its content with storeContent(contentKey)
+ * Revisions are numbered by the file version their content was saved as. That version
+ * is claimed atomically, so concurrent saves never share a number, and the record is
+ * inserted first so its unique index rejects a duplicate before any content is written.
+ */
+const createRevision = async (file, fields, storeContent) => {
+  const revision = file.version;
+  const contentKey = generateRevisionKey(file.projectId, file._id, revision);
+
+  const fileRevision = await FileRevision.create({
+    fileId: file._id,
+    projectId: file.projectId,
+    revision,
+    contentKey,
+    ...fields
+  });
+
+  try {
+    await storeContent(contentKey);
+  } catch (storageError) {
+    await FileRevision.deleteOne({ _id: fileRevision._id }).catch(cleanupError => {
+      console.error(`Failed to remove revision ${revision} of file ${file._id}:`, cleanupError);
+    });
+    throw storageError;
+  }
+
+  return fileRevision;
+};
+
+/**
+ * Record a new revision for a file's content
+ */
+const recordRevision = async (file, content, authorId = null) => {
+  const fileRevision = await createRevision(file, {
+    authorId,
+    size: Buffer.byteLength(content, 'utf8'),
+    contentHash: hashContent(content)
+  }, (contentKey) => storageService.uploadFile(contentKey, content, file.mimeType));
+
+  try {
+    await applyRetention(file._id);
+  } catch (retentionError) {
+    // Retention is best effort; never fail a save because pruning failed
+    console.error(`Revision retention failed for file ${file._id}:`, retentionError);
+  }
+
+  return fileRevision;
+};
+
+/**
+ * Record a revision for a file whose content already sits under another storage key
+ * (e.g. a copied file), copying it instead of downloading and re-uploading
+ */
+const recordRevisionFromKey = async (file, sourceKey, authorId = null) => {
+  return await createRevision(file, {
+    authorId,
+    size: file.size
+  }, (contentKey) => storageService.copyFile(sourceKey, contentKey));
+};
+
+/**
+ * Purge revisions outside the retention policy (the latest revision is always kept)
+ */
+const applyRetention = async (fileId) => {
+  const { maxPerFile, retentionDays } = revisionConfig;
+  if (!maxPerFile && !retentionDays) {
+    return 0;
+  }
+
+  const revisions = await FileRevision.find({ fileId })
+    .sort({ revision: -1 })
+    .select('revision contentKey createdAt');
+  const cutoff = retentionDays ? Date.now() - retentionDays * 24 * 60 * 60 * 1000 : null;
+
+  const expired = revisions.filter((revision, index) => {
+    if (index === 0) {
+      return false;
+    }
+    return (maxPerFile && index >= maxPerFile) ||
+      (cutoff && revision.createdAt.getTime() < cutoff);
+  });
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  await storageService.deleteFiles(expired.map(revision => revision.contentKey));
+  await FileRevision.deleteMany({ _id: { $in: expired.map(revision => revision._id) } });
+
+  return expired.length;
+};
+
+/**
+ * List revisions for a file, newest first
+ */
+const listRevisions = async (fileId) => {
+  return await FileRevision.find({ fileId })
+    .sort({ revision: -1 })
+    .select('-__v');
+};
+
+/**
+ * Find a single revision by its number
+ */
+const getRevision = async (fileId, revision) => {
+  const fileRevision = await FileRevision.findOne({ fileId, revision });
+  if (!fileRevision) {
+    const error = new Error(`Revision ${revision} not found`);
+    error.statusCode = 404;
+    error.code = 'REVISION_NOT_FOUND';
+    throw error;
+  }
+  return fileRevision;
+};
+
+/**
+ * Read a revision's content from storage
+ */
+const getRevisionContent = async (fileRevision) => {
+  return await storageService.getFile(fileRevision.contentKey);
+};
+
+/**
+ * Build a unified diff between two revisions' content
+ */
+const createRevisionDiff = (fileName, fromRevision, fromContent, toRevision, toContent) => {
+  return createTwoFilesPatch(
+    `a/${fileName}`,
+    `b/${fileName}`,
+    fromContent,
+    toContent,
+    `revision ${fromRevision}`,
+    `revision ${toRevision}`
+  );
+};
+
+/**
+ * Delete a single revision (record and content), e.g. when rolling back a save
+ */
+const discardRevision = async (fileRevision) => {
+  await storageService.deleteFile(fileRevision.contentKey);
+  await FileRevision.deleteOne({ _id: fileRevision._id });
+};
+
+/**
+ * Delete every revision (records and content) for the given files
+ */
+const deleteRevisionsForFiles = async (fileIds) => {
+  if (!fileIds || fileIds.length === 0) {
+    return 0;
+  }
+
+  const revisions = await FileRevision.find({ fileId: { $in: fileIds } }).select('contentKey');
+  if (revisions.length === 0) {
+    return 0;
+  }
+
+  await storageService.deleteFiles(revisions.map(revision => revision.contentKey));
+  await FileRevision.deleteMany({ fileId: { $in: fileIds } });
+
+  return revisions.length;
+};
+
+module.exports = {
+  generateRevisionKey,
+  hashContent,
+  recordRevision,
+  recordRevisionFromKey,
+  applyRetention,
+  listRevisions,
+  getRevision,
+  getRevisionContent,
+  createRevisionDiff,
+  discardRevision,
+  deleteRevisionsForFiles
+};
@@ -38,15 +38,16 @@ if (isAWSConfigured) {
   BUCKET_NAME = process.env.S3_BUCKET_NAME;
   console.log('✅ AWS S3 configured for bucket:', BUCKET_NAME);
 } else {
-  console.log('📝 AWS S3 disabled - using database storage fallback');
+  console.log('📝 AWS S3 disabled - STORAGE_DRIVER selects the fallback storage');
 }
 
 /**
  * Generate S3 key for file storage
- * Format: projects/{projectId}/files/{fileId}/{fileName}
+ * Format: projects/{projectId}/files/{fileId}
+ * File names are user input and never part of the key.
  */
-const generateS3Key = (projectId, fileId, fileName) => {
-  return `projects/${projectId}/files/${fileId}/${fileName}`;
+const generateS3Key = (projectId, fileId) => {
+  return `projects/${projectId}/files/${fileId}`;
 };
 
 /**
@@ -55,7 +56,7 @@ const generateS3Key = (projectId, fileId, fileName) => {
 const uploadFile = async (key, content, contentType = 'text/plain') => {
   if (!isAWSConfigured || !s3) {
     console.log('📝 AWS S3 not configured - skipping upload for:', key);
-    return null; // Fallback to database storage
+    return null; // storageService routes content to another driver in this case
   }
 
   try {
@@ -81,8 +82,7 @@ const uploadFile = async (key, content, contentType = 'text/plain') => {
     } else if (error.code === 'SignatureDoesNotMatch') {
       console.error('💡 Invalid secret key. Check AWS_SECRET_ACCESS_KEY in .env');
     }
-    
-    return null; // Fallback to database storage
+
     throw new Error(`Failed to upload file: ${error.message}`);
   }
 };
@@ -220,6 +220,7 @@ const copyFile = async (sourceKey, destinationKey) => {
 };
 
 module.exports = {
+  isConfigured: isAWSConfigured,
   generateS3Key,
   uploadFile,
   getFile,
@@ -0,0 +1,279 @@
+const { minimatch } = require('minimatch');
+const FileMetadata = require('../models/FileMetadata');
+const FileSearchIndex = require('../models/FileSearchIndex');
+const storageService = require('./storageService');
+const { hashContent } = require('./revisionService');
+const { handleDatabaseOperation } = require('../utils/database');
+const { buildPathMap } = require('../utils/fileHierarchy');
+const { createPatternMatcher } = require('./patternMatcher');
+const searchConfig = require('../config/search');
+
+// Index entries are read in chunks, in path order
+const SEARCH_CHUNK_SIZE = 100;
+
+/**
+ * Store a file's current content in the search index
+ * Files over the size limit are dropped from the index instead.
+ */
+const indexFileContent = async (file, content) => {
+  if (Buffer.byteLength(content, 'utf8') > searchConfig.maxIndexedFileSize) {
+    await FileSearchIndex.deleteOne({ fileId: file._id });
+    return null;
+  }
+
+  return await FileSearchIndex.findOneAndUpdate(
+    { fileId: file._id },
+    {
+      projectId: file.projectId,
+      content,
+      contentHash: file.contentHash || hashContent(content)
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Remove files from the search index
+ */
+const removeFromIndex = async (fileIds) => {
+  if (!fileIds || fileIds.length === 0) {
+    return;
+  }
+  await FileSearchIndex.deleteMany({ fileId: { $in: fileIds } });
+};
+
+/**
+ * Remove every index entry of a project
+ */
+const removeProjectFromIndex = async (projectId) => {
+  await FileSearchIndex.deleteMany({ projectId });
+};
+
+/**
+ * Copy index entries to cloned files (idMap: source file ID -> new file ID)
+ */
+const copyIndexEntries = async (idMap, projectId) => {
+  const entries = await FileSearchIndex.find({ fileId: { $in: [...idMap.keys()] } });
+  if (entries.length === 0) {
+    return;
+  }
+
+  await FileSearchIndex.insertMany(entries.map(entry => ({
+    fileId: idMap.get(entry.fileId.toString()),
+    projectId,
+    content: entry.content,
+    contentHash: entry.contentHash
+  })));
+};
+
+/**
+ * Index files saved before indexing existed (or whose entry is out of date)
+ * and drop entries of files that no longer exist
+ */
+const ensureProjectIndexed = async (projectId, files) => {
+  const entries = await FileSearchIndex.find({ projectId }).select('fileId contentHash');
+  const indexed = new Map(entries.map(entry => [entry.fileId.toString(), entry.contentHash]));
+  const fileIds = new Set(files.map(file => file._id.toString()));
+
+  const orphaned = entries.filter(entry => !fileIds.has(entry.fileId.toString()));
+  await removeFromIndex(orphaned.map(entry => entry.fileId));
+
+  const stale = files.filter(file => {
+    const fileId = file._id.toString();
+    return file.type === 'file' &&
+      (file.size || 0) <= searchConfig.maxIndexedFileSize &&
+      (!indexed.has(fileId) || (file.contentHash && indexed.get(fileId) !== file.contentHash));
+  });
+
+  for (const file of stale) {
+    let content = '';
+    try {
+      content = await storageService.getFile(file.s3Key);
+    } catch (storageError) {
+      console.log(`⚠️  Storage download failed for ${file.name}, indexing empty content`);
+    }
+    await indexFileContent(file, content);
+  }
+
+  return stale.length;
+};
+
+/**
+ * Escape a string for literal use in a regular expression
+ */
+const escapeRegExp = (text) => {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Build the global RegExp for a search (400 INVALID_PATTERN for bad regexes)
+ */
+const buildSearchPattern = (query, { regex = false, caseSensitive = false, wholeWord = false } = {}) => {
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) {
+    source = `\\b(?:${source})\\b`;
+  }
+
+  try {
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+  } catch (regexError) {
+    const error = new Error(regexError.message);
+    error.statusCode = 400;
+    error.code = 'INVALID_PATTERN';
+    throw error;
+  }
+};
+
+/**
+ * Normalize include/exclude globs given as a list or comma-separated string
+ */
+const toGlobList = (value) => {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Check a path against include/exclude globs
+ * Globs without a "/" match the file name at any depth (e.g. "*.js").
+ */
+const matchesPathFilters = (filePath, { include = [], exclude = [] } = {}) => {
+  const matches = glob => minimatch(filePath, glob, { dot: true, matchBase: !glob.includes('/') });
+
+  if (include.length > 0 && !include.some(matches)) {
+    return false;
+  }
+  return !exclude.some(matches);
+};
+
+/**
+ * List a project's files (not folders) with their paths, filtered by globs and sorted by path
+ */
+const getSearchableFiles = async (projectId, filters = {}) => {
+  const files = await handleDatabaseOperation(async () => {
+    return await FileMetadata.find({ projectId });
+  }, 'Failed to fetch project files');
+
+  const pathMap = buildPathMap(files);
+  const filtered = files
+    .filter(file => file.type === 'file')
+    .map(file => ({ file, path: pathMap.get(file._id.toString()) }))
+    .filter(({ path }) => matchesPathFilters(path, filters))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return { files, filtered };
+};
+
+/**
+ * Iterate index entries for files in path order, one chunk at a time
+ * Only entries whose content matches contentFilter (a MongoDB query) are returned.
+ */
+const forEachIndexedFile = async (entries, contentFilter, callback) => {
+  for (let i = 0; i < entries.length; i += SEARCH_CHUNK_SIZE) {
+    const chunk = entries.slice(i, i + SEARCH_CHUNK_SIZE);
+    const indexEntries = await FileSearchIndex.find({
+      fileId: { $in: chunk.map(({ file }) => file._id) },
+      ...contentFilter
+    });
+    const byFileId = new Map(indexEntries.map(entry => [entry.fileId.toString(), entry]));
+
+    for (const item of chunk) {
+      const entry = byFileId.get(item.file._id.toString());
+      if (entry && (await callback(item, entry.content)) === false) {
+        return;
+      }
+    }
+  }
+};
+
+/**
+ * Build the pattern and the list of files to scan for a search, indexing files as needed
+ */
+const prepareSearch = async (project, { q, regex = false, caseSensitive = false, wholeWord = false, include, exclude }) => {
+  const pattern = buildSearchPattern(q, { regex, caseSensitive, wholeWord });
+  const filters = { include: toGlobList(include), exclude: toGlobList(exclude) };
+
+  const { files, filtered } = await getSearchableFiles(project._id, filters);
+  await ensureProjectIndexed(project._id, files);
+
+  // Let MongoDB skip files that cannot match a plain-text query
+  const contentFilter = regex
+    ? {}
+    : { content: { $regex: escapeRegExp(q), $options: caseSensitive ? '' : 'i' } };
+
+  return { pattern, filtered, contentFilter };
+};
+
+/**
+ * Search the content of a project's files
+ * Matching is line by line; results are grouped per file in path order.
+ */
+const searchProject = async (project, {
+  q,
+  regex = false,
+  caseSensitive = false,
+  wholeWord = false,
+  include,
+  exclude,
+  context = 2,
+  limit = searchConfig.maxResults
+}) => {
+  const { pattern, filtered, contentFilter } = await prepareSearch(project, {
+    q, regex, caseSensitive, wholeWord, include, exclude
+  });
+
+  // limit caps the number of matching lines returned
+  const results = [];
+  let totalLines = 0;
+  let totalMatches = 0;
+  let truncated = false;
+
+  const matcher = createPatternMatcher({ regex });
+  try {
+    await forEachIndexedFile(filtered, contentFilter, async ({ file, path }, content) => {
+      const lines = await matcher.run('findLineMatches', content, pattern, context);
+      if (lines.length === 0) {
+        return true;
+      }
+
+      const remaining = limit - totalLines;
+      if (lines.length > remaining) {
+        lines.length = remaining;
+        truncated = true;
+      }
+
+      totalLines += lines.length;
+      totalMatches += lines.reduce((total, line) => total + line.matches.length, 0);
+      results.push({ fileId: file._id, path, lines });
+
+      return !truncated;
+    });
+  } finally {
+    matcher.close();
+  }
+
+  return {
+    results,
+    totalMatches,
+    totalLines,
+    totalFiles: results.length,
+    filesSearched: filtered.length,
+    truncated
+  };
+};
+
+module.exports = {
+  indexFileContent,
+  removeFromIndex,
+  removeProjectFromIndex,
+  copyIndexEntries,
+  buildSearchPattern,
+  getSearchableFiles,
+  prepareSearch,
+  forEachIndexedFile,
+  searchProject
+};
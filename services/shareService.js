@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const ShareLink = require('../models/ShareLink');
+const { findProjectById } = require('../utils/projectAccess');
+const { handleDatabaseOperation } = require('../utils/database');
+
+/**
+ * Hash a share token for storage and lookup
+ */
+const hashShareToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Create a share link for a project
+ * The token is only returned here; the link stores its hash.
+ */
+const createShareLink = async (project, { label, expiresAt = null }, createdBy) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const shareLink = await handleDatabaseOperation(async () => {
+    return await ShareLink.create({
+      projectId: project._id,
+      tokenHash: hashShareToken(token),
+      label,
+      createdBy,
+      expiresAt
+    });
+  }, 'Failed to create share link');
+
+  return { shareLink, token };
+};
+
+/**
+ * List a project's share links, newest first
+ */
+const listShareLinks = async (projectId, { includeInactive = false } = {}) => {
+  const shareLinks = await handleDatabaseOperation(async () => {
+    return await ShareLink.find({ projectId }).sort({ createdAt: -1 });
+  }, 'Failed to fetch share links');
+
+  return includeInactive ? shareLinks : shareLinks.filter(shareLink => shareLink.isActive());
+};
+
+/**
+ * Revoke a share link (links stay listed as revoked)
+ */
+const revokeShareLink = async (projectId, linkId) => {
+  const shareLink = await handleDatabaseOperation(async () => {
+    return await ShareLink.findOne({ _id: linkId, projectId });
+  }, 'Failed to fetch share link');
+
+  if (!shareLink) {
+    const error = new Error('Share link not found');
+    error.statusCode = 404;
+    error.code = 'SHARE_LINK_NOT_FOUND';
+    throw error;
+  }
+
+  if (!shareLink.revokedAt) {
+    shareLink.revokedAt = new Date();
+    await handleDatabaseOperation(async () => {
+      await shareLink.save();
+    }, 'Failed to revoke share link');
+  }
+
+  return shareLink;
+};
+
+/**
+ * Delete every share link of a project
+ */
+const deleteShareLinksForProject = async (projectId) => {
+  await ShareLink.deleteMany({ projectId });
+};
+
+/**
+ * Resolve a share token to its link and project
+ * Unknown, revoked and expired links are rejected; the access is recorded.
+ */
+const resolveShareToken = async (token) => {
+  const shareLink = token && await handleDatabaseOperation(async () => {
+    return await ShareLink.findOne({ tokenHash: hashShareToken(token) });
+  }, 'Failed to fetch share link');
+
+  const project = shareLink ? await findProjectById(shareLink.projectId) : null;
+  if (!project) {
+    const error = new Error('Share link not found');
+    error.statusCode = 404;
+    error.code = 'SHARE_LINK_NOT_FOUND';
+    throw error;
+  }
+
+  if (!shareLink.isActive()) {
+    const error = new Error(shareLink.revokedAt ? 'Share link has been revoked' : 'Share link has expired');
+    error.statusCode = 410;
+    error.code = shareLink.revokedAt ? 'SHARE_LINK_REVOKED' : 'SHARE_LINK_EXPIRED';
+    throw error;
+  }
+
+  // Access tracking is best effort
+  ShareLink.updateOne(
+    { _id: shareLink._id },
+    { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } }
+  ).catch(error => console.error('Failed to record share link access:', error));
+
+  return { shareLink, project };
+};
+
+module.exports = {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  deleteShareLinksForProject,
+  resolveShareToken
+};
@@ -0,0 +1,61 @@
+const storageConfig = require('../config/storage');
+const s3Service = require('./s3Service');
+const localFileService = require('./localFileService');
+const databaseStorageService = require('./databaseStorageService');
+
+const drivers = {
+  s3: s3Service,
+  local: localFileService,
+  database: databaseStorageService
+};
+
+/**
+ * Pick the storage driver from config, falling back to local disk
+ * when S3 is requested (or implied) but AWS is not configured
+ */
+const resolveDriver = () => {
+  const requested = storageConfig.driver || (s3Service.isConfigured ? 's3' : 'local');
+
+  if (!drivers[requested]) {
+    console.warn(`⚠️  Unknown STORAGE_DRIVER "${requested}", using local storage`);
+    return 'local';
+  }
+
+  if (requested === 's3' && !s3Service.isConfigured) {
+    console.warn('⚠️  STORAGE_DRIVER is s3 but AWS is not configured, using local storage');
+    return 'local';
+  }
+
+  return requested;
+};
+
+const driverName = resolveDriver();
+const driver = drivers[driverName];
+
+if (driverName === 'local') {
+  console.log('📁 File storage: local disk at', storageConfig.local.rootDir);
+} else if (driverName === 'database') {
+  console.log('🗄️  File storage: MongoDB (FileContent collection)');
+} else {
+  console.log('☁️  File storage:', driverName);
+}
+
+/**
+ * Storage key format is shared by all drivers
+ * Format: projects/{projectId}/files/{fileId}/{fileName}
+ */
+const generateS3Key = (projectId, fileId) => {
+  return s3Service.generateS3Key(projectId, fileId);
+};
+
+module.exports = {
+  driverName,
+  generateS3Key,
+  uploadFile: (key, content, contentType) => driver.uploadFile(key, content, contentType),
+  getFile: (key) => driver.getFile(key),
+  deleteFile: (key) => driver.deleteFile(key),
+  deleteFiles: (keys) => driver.deleteFiles(keys),
+  fileExists: (key) => driver.fileExists(key),
+  getFileMetadata: (key) => driver.getFileMetadata(key),
+  copyFile: (sourceKey, destinationKey) => driver.copyFile(sourceKey, destinationKey)
+};
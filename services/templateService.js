@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { createFileWithContent, ensureFolderPath } = require('./fileService');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_TEMPLATE = process.env.DEFAULT_PROJECT_TEMPLATE || 'react';
+
+let templateCache = null;
+
+/**
+ * Recursively list files under a template's files/ directory (relative, "/"-separated)
+ */
+const listTemplateFiles = (dir, prefix = '') => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory()
+        ? listTemplateFiles(path.join(dir, entry.name), relativePath)
+        : [relativePath];
+    });
+};
+
+/**
+ * Load the template registry from templates/<id>/template.json
+ */
+const loadTemplates = () => {
+  if (templateCache) {
+    return templateCache;
+  }
+
+  templateCache = new Map();
+
+  fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      const templateDir = path.join(TEMPLATES_DIR, entry.name);
+      const manifestPath = path.join(templateDir, 'template.json');
+
+      if (!fs.existsSync(manifestPath)) {
+        return;
+      }
+
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      templateCache.set(entry.name, {
+        id: entry.name,
+        name: manifest.name || entry.name,
+        description: manifest.description || '',
+        order: manifest.order || Number.MAX_SAFE_INTEGER,
+        filesDir: path.join(templateDir, 'files'),
+        files: listTemplateFiles(path.join(templateDir, 'files'))
+      });
+    });
+
+  return templateCache;
+};
+
+/**
+ * List available templates
+ */
+const listTemplates = () => {
+  return [...loadTemplates().values()]
+    .sort((a, b) => a.order - b.order)
+    .map(template => ({
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      files: template.files,
+      isDefault: template.id === DEFAULT_TEMPLATE
+    }));
+};
+
+/**
+ * Get a template by ID
+ */
+const getTemplate = (templateId) => {
+  const template = loadTemplates().get(templateId);
+  if (!template) {
+    const error = new Error(`Unknown template "${templateId}"`);
+    error.statusCode = 400;
+    error.code = 'INVALID_TEMPLATE';
+    throw error;
+  }
+  return template;
+};
+
+/**
+ * Build the substitution variables for a project
+ */
+const buildTemplateVariables = ({ name, description }) => {
+  return {
+    projectName: name,
+    projectSlug: name.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-._]+|-+$/g, '') || 'project',
+    projectDescription: description || ''
+  };
+};
+
+// Characters that would end or change the surrounding markup, as entities
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const JSX_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '{': '&#123;', '}': '&#125;' };
+
+const escapeEntities = (entities) => (value) => value.replace(/[&<>"'{}]/g, char => entities[char] || char);
+
+/**
+ * Escapers for variable values by file extension
+ * Placeholders in script files sit in JSX text (<h1>{{projectName}}</h1>), which
+ * decodes entities like HTML. Other files get values as-is.
+ */
+const VALUE_ESCAPERS = {
+  html: escapeEntities(HTML_ENTITIES),
+  htm: escapeEntities(HTML_ENTITIES),
+  js: escapeEntities(JSX_ENTITIES),
+  jsx: escapeEntities(JSX_ENTITIES),
+  ts: escapeEntities(JSX_ENTITIES),
+  tsx: escapeEntities(JSX_ENTITIES),
+  json: (value) => JSON.stringify(value).slice(1, -1)
+};
+
+/**
+ * Keep values in file paths to a single path segment
+ */
+const escapePathValue = (value) => value.replace(/[/\\]/g, '-');
+
+/**
+ * Get the escaper for variable values in a template file
+ */
+const getValueEscaper = (relativePath) => {
+  const extension = path.extname(relativePath).slice(1).toLowerCase();
+  return VALUE_ESCAPERS[extension] || (value => value);
+};
+
+/**
+ * Replace {{variable}} placeholders; unknown placeholders (e.g. JSX style={{...}}) are left alone
+ * Values are passed through escape before they are inserted.
+ */
+const substituteVariables = (text, variables, escape = value => value) => {
+  return text.replace(/\{\{\s*([a-zA-Z]+)\s*\}\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(variables, key) ? escape(String(variables[key])) : match
+  );
+};
+
+/**
+ * Render a template's files with variables substituted in paths and content
+ */
+const renderTemplate = async (templateId, variables) => {
+  const template = getTemplate(templateId);
+
+  return await Promise.all(template.files.map(async (relativePath) => {
+    const content = await fs.promises.readFile(path.join(template.filesDir, relativePath), 'utf-8');
+    return {
+      path: substituteVariables(relativePath, variables, escapePathValue),
+      content: substituteVariables(content, variables, getValueEscaper(relativePath))
+    };
+  }));
+};
+
+/**
+ * Create a template's folder tree and files in a project
+ */
+const applyTemplate = async (project, templateId, { authorId = null } = {}) => {
+  const files = await renderTemplate(templateId, buildTemplateVariables(project));
+  const folderCache = new Map();
+  const createdFiles = [];
+
+  for (const file of files) {
+    const segments = file.path.split('/');
+    const fileName = segments.pop();
+    const parentId = await ensureFolderPath(project._id, segments, folderCache);
+
+    createdFiles.push(await createFileWithContent(
+      { projectId: project._id, name: fileName, parentId, content: file.content },
+      { authorId }
+    ));
+  }
+
+  return createdFiles;
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  listTemplates,
+  getTemplate,
+  renderTemplate,
+  applyTemplate
+};
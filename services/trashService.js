@@ -0,0 +1,321 @@
+const Project = require('../models/Project');
+const FileMetadata = require('../models/FileMetadata');
+const { purgeFiles } = require('./fileService');
+const { purgeProject } = require('./projectService');
+const { removeFromIndex } = require('./searchService');
+const { handleDatabaseOperation } = require('../utils/database');
+const { getProjectRole, hasRole, accessDeniedError } = require('../utils/projectAccess');
+const { buildPathMap, generateUniqueName } = require('../utils/fileHierarchy');
+const trashConfig = require('../config/trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a trashed item will be purged (null if the trash is kept forever)
+ */
+const getPurgeDate = (trashedAt) => {
+  return trashConfig.retentionDays > 0
+    ? new Date(trashedAt.getTime() + trashConfig.retentionDays * DAY_MS)
+    : null;
+};
+
+/**
+ * Build the error for a trash entry that does not exist
+ */
+const trashItemNotFoundError = () => {
+  const error = new Error('Item not found in trash');
+  error.statusCode = 404;
+  error.code = 'TRASH_ITEM_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Mark files as trashed together under one trash root
+ * Items already in the trash keep their own entry.
+ */
+const markFilesTrashed = async (fileIds, rootId, userId, trashedAt = new Date()) => {
+  await handleDatabaseOperation(async () => {
+    await FileMetadata.updateMany(
+      { _id: { $in: fileIds }, trashedAt: null },
+      { trashedAt, trashedBy: userId, trashRootId: rootId }
+    );
+  }, 'Failed to move files to trash');
+
+  // Trashed files drop out of search until they are restored
+  try {
+    await removeFromIndex(fileIds);
+  } catch (indexError) {
+    console.error('Search index cleanup error (files already trashed):', indexError);
+  }
+};
+
+/**
+ * Take files out of the trash again (used to undo a trash operation)
+ */
+const unmarkFilesTrashed = async (rootId) => {
+  await FileMetadata.updateMany(
+    { trashRootId: rootId, trashedAt: { $ne: null } },
+    { trashedAt: null, trashedBy: null, trashRootId: null }
+  );
+};
+
+/**
+ * Move a file, or a folder and everything below it, to the trash
+ */
+const trashFileTree = async (file, userId) => {
+  const children = file.type === 'folder' ? await FileMetadata.findAllChildren(file._id) : [];
+  const fileIds = [file._id, ...children.map(child => child._id)];
+  const trashedAt = new Date();
+
+  await markFilesTrashed(fileIds, file._id, userId, trashedAt);
+
+  return {
+    trashedFiles: fileIds.length,
+    trashedAt,
+    purgeAt: getPurgeDate(trashedAt)
+  };
+};
+
+/**
+ * List trash entries (items the user trashed, with the number of items trashed along) of projects
+ */
+const listTrashedFiles = async (projectIds) => {
+  const [trashed, files] = await Promise.all([
+    handleDatabaseOperation(async () => {
+      return await FileMetadata.find({ projectId: { $in: projectIds }, trashedAt: { $ne: null } })
+        .sort({ trashedAt: -1 })
+        .select('-__v');
+    }, 'Failed to fetch trashed files'),
+    handleDatabaseOperation(async () => {
+      return await FileMetadata.find({ projectId: { $in: projectIds } }).withTrashed().select('name parentId');
+    }, 'Failed to fetch project files')
+  ]);
+
+  // Original paths are resolved through live and trashed folders alike
+  const pathMap = buildPathMap(files);
+  const counts = new Map();
+  trashed.forEach(item => {
+    const rootId = String(item.trashRootId);
+    counts.set(rootId, (counts.get(rootId) || 0) + 1);
+  });
+
+  return trashed
+    .filter(item => String(item.trashRootId) === item._id.toString())
+    .map(item => ({
+      ...item.toObject(),
+      path: pathMap.get(item._id.toString()),
+      trashedFiles: counts.get(item._id.toString()),
+      purgeAt: getPurgeDate(item.trashedAt)
+    }));
+};
+
+/**
+ * Find a trash entry of a project with every item trashed along with it
+ */
+const getTrashEntry = async (projectId, fileId) => {
+  const items = await handleDatabaseOperation(async () => {
+    return await FileMetadata.find({ projectId, trashRootId: fileId, trashedAt: { $ne: null } });
+  }, 'Failed to fetch trashed files');
+
+  const root = items.find(item => item._id.toString() === String(fileId));
+  if (!root) {
+    throw trashItemNotFoundError();
+  }
+
+  return { root, items };
+};
+
+/**
+ * Restore a trash entry to where it was
+ * If its folder no longer exists it is restored to the project root, and it is
+ * renamed if a file with the same name has been created there since.
+ */
+const restoreFileTree = async (project, fileId) => {
+  const { root, items } = await getTrashEntry(project._id, fileId);
+
+  let parentId = root.parentId;
+  if (parentId) {
+    const parent = await handleDatabaseOperation(async () => {
+      return await FileMetadata.findOne({ _id: parentId, projectId: project._id, type: 'folder' });
+    }, 'Failed to fetch parent folder');
+    if (!parent) {
+      parentId = null;
+    }
+  }
+
+  const originalName = root.name;
+  const name = await generateUniqueName(project._id, originalName, parentId, root._id);
+
+  await handleDatabaseOperation(async () => {
+    await FileMetadata.updateOne({ _id: root._id }, { name, parentId });
+    await unmarkFilesTrashed(root._id);
+    root.name = name;
+    root.parentId = parentId;
+    await FileMetadata.syncHierarchy(root);
+  }, 'Failed to restore files');
+
+  const file = await handleDatabaseOperation(async () => {
+    return await FileMetadata.findById(root._id).select('-__v');
+  }, 'Failed to fetch restored file');
+
+  return {
+    file,
+    restoredFiles: items.length,
+    renamedFrom: name !== originalName ? originalName : null
+  };
+};
+
+/**
+ * Permanently delete a trash entry
+ */
+const purgeFileTree = async (projectId, fileId) => {
+  const { items } = await getTrashEntry(projectId, fileId);
+  return await purgeFiles(items);
+};
+
+/**
+ * Move a project to the trash
+ */
+const trashProject = async (project, userId) => {
+  const trashedAt = new Date();
+
+  await handleDatabaseOperation(async () => {
+    await Project.updateOne({ _id: project._id }, { trashedAt, trashedBy: userId });
+  }, 'Failed to move project to trash');
+
+  return { trashedAt, purgeAt: getPurgeDate(trashedAt) };
+};
+
+/**
+ * Find a trashed project the user has the owner role on
+ * Same check as getProjectForUser: the creator, or a member invited as owner.
+ */
+const getTrashedProject = async (projectId, user) => {
+  const project = await handleDatabaseOperation(async () => {
+    return await Project.findOne({ _id: projectId, trashedAt: { $ne: null } });
+  }, 'Failed to fetch trashed project');
+
+  if (!project) {
+    throw trashItemNotFoundError();
+  }
+
+  const role = getProjectRole(project, user);
+
+  if (!role) {
+    throw accessDeniedError();
+  }
+
+  if (!hasRole(role, 'owner')) {
+    throw accessDeniedError('This action requires the owner role on the project');
+  }
+
+  return project;
+};
+
+/**
+ * List the trashed projects the user has the owner role on
+ */
+const listTrashedProjects = async (user) => {
+  const projects = await handleDatabaseOperation(async () => {
+    return await Project.find({
+      trashedAt: { $ne: null },
+      $or: [
+        { userId: user._id },
+        { members: { $elemMatch: { userId: user._id, status: 'active', role: 'owner' } } }
+      ]
+    })
+      .sort({ trashedAt: -1 })
+      .select('-__v');
+  }, 'Failed to fetch trashed projects');
+
+  return projects.map(project => ({
+    ...project.toObject(),
+    purgeAt: getPurgeDate(project.trashedAt)
+  }));
+};
+
+/**
+ * Restore a trashed project the user has the owner role on
+ */
+const restoreProject = async (projectId, user) => {
+  const project = await getTrashedProject(projectId, user);
+
+  return await handleDatabaseOperation(async () => {
+    return await Project.findOneAndUpdate(
+      { _id: project._id, trashedAt: { $ne: null } },
+      { trashedAt: null, trashedBy: null },
+      { new: true }
+    ).select('-__v');
+  }, 'Failed to restore project');
+};
+
+/**
+ * Permanently delete a trashed project the user has the owner role on
+ */
+const purgeTrashedProject = async (projectId, user) => {
+  const project = await getTrashedProject(projectId, user);
+  return await purgeProject(project);
+};
+
+/**
+ * Purge everything that has been in the trash longer than the retention period
+ */
+const sweepTrash = async () => {
+  const cutoff = new Date(Date.now() - trashConfig.retentionDays * DAY_MS);
+
+  const projects = await handleDatabaseOperation(async () => {
+    return await Project.find({ trashedAt: { $ne: null, $lte: cutoff } });
+  }, 'Failed to fetch expired projects');
+
+  for (const project of projects) {
+    try {
+      await purgeProject(project);
+    } catch (error) {
+      console.error(`Failed to purge trashed project ${project._id}:`, error);
+    }
+  }
+
+  const files = await handleDatabaseOperation(async () => {
+    return await FileMetadata.find({ trashedAt: { $ne: null, $lte: cutoff } });
+  }, 'Failed to fetch expired files');
+
+  if (files.length > 0) {
+    await purgeFiles(files);
+  }
+
+  if (projects.length > 0 || files.length > 0) {
+    console.log(`🗑️  Trash sweep purged ${projects.length} projects and ${files.length} files`);
+  }
+};
+
+/**
+ * Purge expired trash periodically (no-op when trash is kept forever)
+ */
+const startTrashSweeper = () => {
+  if (trashConfig.retentionDays <= 0 || trashConfig.sweepInterval <= 0) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    sweepTrash().catch(error => console.error('Trash sweep failed:', error));
+  }, trashConfig.sweepInterval);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  getPurgeDate,
+  markFilesTrashed,
+  unmarkFilesTrashed,
+  trashFileTree,
+  listTrashedFiles,
+  restoreFileTree,
+  purgeFileTree,
+  trashProject,
+  listTrashedProjects,
+  restoreProject,
+  purgeTrashedProject,
+  sweepTrash,
+  startTrashSweeper
+};
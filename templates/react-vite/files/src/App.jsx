@@ -0,0 +1,20 @@
+import { useState } from 'react';
+import './App.css';
+
+function App() {
+  const [count, setCount] = useState(0);
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>{{projectName}}</h1>
+        <p>Edit src/App.jsx and save to see your changes live!</p>
+        <button className="demo-button" onClick={() => setCount(count + 1)}>
+          Clicked {count} times
+        </button>
+      </header>
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,19 @@
+import React from 'react';
+import './App.css';
+
+function App() {
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>{{projectName}}</h1>
+        <p>Welcome to your new React project!</p>
+        <p>Start editing to see your changes live!</p>
+        <button className="demo-button" onClick={() => alert('Hello from CipherStudio!')}>
+          Click me!
+        </button>
+      </header>
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,155 @@
+const archiver = require('archiver');
+const { readProjectArchive } = require('../services/archiveService');
+
+/**
+ * Build a ZIP archive in memory
+ * Entries without content are directories. `rename` rewrites entry names in the
+ * finished archive, for names archiver refuses to write (e.g. "../evil.js").
+ */
+const buildArchive = async (entries, rename = {}) => {
+  const archive = archiver('zip', { store: true });
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  entries.forEach(({ name, content }) => {
+    if (content === undefined) {
+      archive.append(null, { name, type: 'directory' });
+    } else {
+      archive.append(content, { name });
+    }
+  });
+  await archive.finalize();
+  await finished;
+
+  let buffer = Buffer.concat(chunks);
+  Object.entries(rename).forEach(([from, to]) => {
+    // Names appear in the local header and the central directory, and keep their length
+    const source = Buffer.from(from);
+    let index;
+    while ((index = buffer.indexOf(source)) !== -1) {
+      buffer = Buffer.concat([buffer.subarray(0, index), Buffer.from(to), buffer.subarray(index + source.length)]);
+    }
+  });
+  return buffer;
+};
+
+const reasons = ({ skipped }) => Object.fromEntries(skipped.map(({ path, reason }) => [path, reason]));
+
+describe('readProjectArchive', () => {
+  it('skips entries that would escape the project (zip-slip)', async () => {
+    const buffer = await buildArchive([
+      { name: 'package.json', content: '{}' },
+      { name: 'src/App.js', content: 'app' },
+      { name: 'XX/evil.js', content: 'evil' },
+      { name: 'src/XX/XX/evil.js', content: 'evil' },
+      { name: 'Xetc/passwd', content: 'root' }
+    ], { 'XX/': '../', 'Xetc': '/etc' });
+
+    const result = await readProjectArchive(buffer);
+
+    expect(result.files.map(file => file.path)).toEqual(['package.json', 'src/App.js']);
+    expect(reasons(result)).toEqual({
+      '../evil.js': 'unsafe path',
+      'src/../../evil.js': 'unsafe path',
+      '/etc/passwd': 'unsafe path'
+    });
+  });
+
+  it('keeps names that only look like parent references', async () => {
+    const buffer = await buildArchive([
+      { name: 'src/../README.md', content: 'readme' },
+      { name: 'docs/..notes.md', content: 'notes' }
+    ]);
+
+    const result = await readProjectArchive(buffer);
+
+    expect(result.files.map(file => file.path)).toEqual(['README.md', 'docs/..notes.md']);
+    expect(result.skipped).toEqual([]);
+  });
+
+  it('counts explicit and implied folders against the entry limit', async () => {
+    const buffer = await buildArchive([
+      { name: 'README.md', content: 'readme' },
+      { name: 'a/b/one.js', content: 'one' },
+      { name: 'a/two.js', content: 'two' },
+      { name: 'c/' }
+    ]);
+
+    const result = await readProjectArchive(buffer, { maxEntries: 4 });
+
+    expect(result.files.map(file => file.path)).toEqual(['README.md', 'a/b/one.js']);
+    expect(result.folders).toEqual(['a', 'a/b']);
+    expect(reasons(result)).toEqual({
+      'a/two.js': 'entry limit reached',
+      c: 'entry limit reached'
+    });
+  });
+
+  it('stops accepting directory entries at the entry limit', async () => {
+    const buffer = await buildArchive(
+      Array.from({ length: 15 }, (_, index) => ({ name: `dir-${index}/` }))
+    );
+
+    const result = await readProjectArchive(buffer, { maxEntries: 10 });
+
+    expect(result.folders).toHaveLength(10);
+    expect(result.skipped).toHaveLength(5);
+  });
+
+  it('skips paths nested deeper than the depth limit', async () => {
+    const buffer = await buildArchive([
+      { name: 'a.js', content: 'a' },
+      { name: 'a/b/c.js', content: 'c' },
+      { name: 'a/b/c/d.js', content: 'd' }
+    ]);
+
+    const result = await readProjectArchive(buffer, { maxDepth: 3 });
+
+    expect(result.files.map(file => file.path)).toEqual(['a.js', 'a/b/c.js']);
+    expect(reasons(result)).toEqual({ 'a/b/c/d.js': 'path too deep' });
+  });
+
+  it('enforces the file and total size limits', async () => {
+    const buffer = await buildArchive([
+      { name: 'big.js', content: 'x'.repeat(20) },
+      { name: 'one.js', content: 'x'.repeat(10) },
+      { name: 'two.js', content: 'x'.repeat(10) },
+      { name: 'three.js', content: 'x'.repeat(10) }
+    ]);
+
+    const result = await readProjectArchive(buffer, { maxFileSize: 15, maxTotalSize: 25 });
+
+    expect(result.files.map(file => file.path)).toEqual(['one.js', 'two.js']);
+    expect(reasons(result)).toEqual({
+      'big.js': 'file too large',
+      'three.js': 'archive size limit reached'
+    });
+  });
+
+  it('strips a single folder wrapping the whole project', async () => {
+    const buffer = await buildArchive([
+      { name: 'my-app/' },
+      { name: 'my-app/src/' },
+      { name: 'my-app/src/App.js', content: 'app' },
+      { name: 'my-app/node_modules/react/index.js', content: 'react' }
+    ]);
+
+    const result = await readProjectArchive(buffer);
+
+    expect(result.rootName).toBe('my-app');
+    expect(result.folders).toEqual(['src']);
+    expect(result.files).toEqual([{ path: 'src/App.js', content: 'app' }]);
+    expect(result.skipped).toEqual([{ path: 'my-app/node_modules', reason: 'ignored directory', entries: 1 }]);
+  });
+
+  it('rejects data that is not a ZIP archive', async () => {
+    await expect(readProjectArchive(Buffer.from('not a zip'))).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_ARCHIVE'
+    });
+  });
+});
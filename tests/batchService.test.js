@@ -0,0 +1,166 @@
+jest.mock('../models/FileMetadata', () => ({
+  find: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findByIdAndDelete: jest.fn(),
+  syncHierarchy: jest.fn(file => file)
+}));
+jest.mock('../services/storageService', () => ({
+  getFile: jest.fn(),
+  uploadFile: jest.fn(),
+  deleteFile: jest.fn()
+}));
+jest.mock('../services/fileService', () => ({
+  createFileWithContent: jest.fn(),
+  createFolder: jest.fn(),
+  saveFileContent: jest.fn()
+}));
+jest.mock('../services/revisionService', () => ({
+  discardRevision: jest.fn(),
+  deleteRevisionsForFiles: jest.fn()
+}));
+jest.mock('../services/searchService', () => ({
+  indexFileContent: jest.fn(),
+  removeFromIndex: jest.fn()
+}));
+jest.mock('../services/trashService', () => ({
+  markFilesTrashed: jest.fn(),
+  unmarkFilesTrashed: jest.fn()
+}));
+jest.mock('../utils/database', () => ({
+  handleDatabaseOperation: operation => operation()
+}));
+
+const FileMetadata = require('../models/FileMetadata');
+const storageService = require('../services/storageService');
+const { createFileWithContent, createFolder, saveFileContent } = require('../services/fileService');
+const { discardRevision } = require('../services/revisionService');
+const { markFilesTrashed } = require('../services/trashService');
+const { applyFileBatch } = require('../services/batchService');
+
+// Mongoose queries are awaited directly or after .select()
+const query = (result) => Object.assign(Promise.resolve(result), { select: () => Promise.resolve(result) });
+
+const project = { _id: 'p1' };
+
+// src/App.js and src/components/
+const projectFiles = () => [
+  { _id: 'src', name: 'src', type: 'folder', parentId: null },
+  { _id: 'app', name: 'App.js', type: 'file', parentId: 'src', s3Key: 'key-app', mimeType: 'text/javascript', size: 5, contentHash: 'old-hash', version: 3 },
+  { _id: 'components', name: 'components', type: 'folder', parentId: 'src' }
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  FileMetadata.find.mockResolvedValue(projectFiles());
+  FileMetadata.findByIdAndUpdate.mockImplementation((id, update) => query({ ...projectFiles().find(file => file._id === id), ...update }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('applyFileBatch planning', () => {
+  it('rejects moving a folder into its own descendant without writing anything', async () => {
+    const operations = [
+      { op: 'create', type: 'folder', name: 'lib' },
+      { op: 'move', id: 'src', parentId: 'components' }
+    ];
+
+    await expect(applyFileBatch(project, operations)).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_MOVE',
+      results: [
+        { index: 0, status: 'not_applied' },
+        { index: 1, status: 'failed', error: { code: 'INVALID_MOVE' } }
+      ]
+    });
+    expect(createFolder).not.toHaveBeenCalled();
+    expect(FileMetadata.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('checks each operation against the tree left by the earlier ones', async () => {
+    const operations = [
+      { op: 'create', type: 'folder', name: 'lib', ref: 'lib' },
+      { op: 'create', type: 'file', name: 'index.js', parentRef: 'lib', content: '' },
+      { op: 'create', type: 'file', name: 'index.js', parentRef: 'lib', content: '' }
+    ];
+
+    await expect(applyFileBatch(project, operations)).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'FILE_EXISTS',
+      results: [{ status: 'not_applied' }, { status: 'not_applied' }, { status: 'failed' }]
+    });
+  });
+
+  it('rejects refs that no earlier operation defines', async () => {
+    const operations = [{ op: 'create', type: 'file', name: 'index.js', parentRef: 'missing', content: '' }];
+
+    await expect(applyFileBatch(project, operations)).rejects.toMatchObject({ code: 'REF_NOT_FOUND' });
+  });
+
+  it('lets a rename free a name for a later create', async () => {
+    createFileWithContent.mockResolvedValue({ _id: 'new', name: 'App.js', type: 'file', s3Key: 'key-new' });
+    const operations = [
+      { op: 'rename', id: 'app', name: 'Main.js' },
+      { op: 'create', type: 'file', name: 'App.js', parentId: 'src', content: '' }
+    ];
+
+    const results = await applyFileBatch(project, operations);
+
+    expect(results.map(result => result.path)).toEqual(['src/Main.js', 'src/App.js']);
+    expect(createFileWithContent).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'App.js', parentId: 'src' }),
+      { authorId: null }
+    );
+  });
+});
+
+describe('applyFileBatch rollback', () => {
+  it('undoes applied operations when a later one fails', async () => {
+    createFileWithContent.mockResolvedValue({ _id: 'new', name: 'new.js', type: 'file', s3Key: 'key-new' });
+    storageService.getFile.mockResolvedValue('old content');
+    saveFileContent.mockResolvedValue({
+      file: { ...projectFiles()[1], s3Key: 'key-app-4', version: 4, contentHash: 'new-hash' },
+      revision: { _id: 'revision-4' }
+    });
+    FileMetadata.findByIdAndUpdate.mockImplementationOnce(() => ({
+      select: () => Promise.reject(new Error('connection lost'))
+    }));
+
+    const operations = [
+      { op: 'create', type: 'file', name: 'new.js', parentId: 'src', content: 'x' },
+      { op: 'update', id: 'app', content: 'new content' },
+      { op: 'rename', id: 'app', name: 'Main.js' }
+    ];
+
+    await expect(applyFileBatch(project, operations)).rejects.toMatchObject({
+      statusCode: 500,
+      code: 'BATCH_FAILED',
+      results: [{ status: 'rolled_back' }, { status: 'rolled_back' }, { status: 'failed' }]
+    });
+
+    // The update is undone: content, storage key, metadata and version are restored, its revision dropped
+    expect(storageService.uploadFile).toHaveBeenCalledWith('key-app', 'old content', 'text/javascript');
+    expect(FileMetadata.findByIdAndUpdate).toHaveBeenCalledWith('app', {
+      s3Key: 'key-app',
+      size: 5,
+      contentHash: 'old-hash',
+      version: 3
+    });
+    expect(storageService.deleteFile).toHaveBeenCalledWith('key-app-4');
+    expect(discardRevision).toHaveBeenCalledWith({ _id: 'revision-4' });
+
+    // The created file is removed
+    expect(storageService.deleteFile).toHaveBeenCalledWith('key-new');
+    expect(FileMetadata.findByIdAndDelete).toHaveBeenCalledWith('new');
+  });
+
+  it('moves deleted items and their contents to the trash after everything else', async () => {
+    const results = await applyFileBatch(project, [{ op: 'delete', id: 'src' }]);
+
+    expect(markFilesTrashed).toHaveBeenCalledWith(['src', 'app', 'components'], 'src', null, expect.any(Date));
+    expect(results[0]).toMatchObject({ status: 'applied', path: 'src', deletedFiles: 3 });
+  });
+});
@@ -0,0 +1,103 @@
+const { EventEmitter } = require('events');
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../utils/projectAccess', () => ({
+  ...jest.requireActual('../utils/projectAccess'),
+  getProjectForUser: jest.fn(),
+  findProjectById: jest.fn()
+}));
+jest.mock('../utils/fileHierarchy', () => ({
+  getFilePath: jest.fn()
+}));
+
+const User = require('../models/User');
+const { getProjectForUser, findProjectById } = require('../utils/projectAccess');
+const { publishProjectEvent, publishProjectChange } = require('../services/eventService');
+const { streamProjectEvents } = require('../controllers/eventController');
+const eventConfig = require('../config/events');
+
+const owner = { _id: 'owner', tokenVersion: 0 };
+const member = { _id: 'member', tokenVersion: 0 };
+
+const projectWith = (members) => ({
+  _id: 'p1',
+  name: 'Project',
+  userId: 'owner',
+  members: members.map(user => ({ userId: user._id, role: 'viewer', status: 'active' }))
+});
+
+// Open a stream as the given user and collect what is written to it
+const openStream = async (user) => {
+  const req = new EventEmitter();
+  Object.assign(req, { params: { id: 'p1' }, user, query: {}, get: () => undefined });
+  const res = {
+    output: '',
+    ended: false,
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    write(chunk) { this.output += chunk; },
+    end() { this.ended = true; }
+  };
+  await streamProjectEvents(req, res);
+  return { req, res };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('streamProjectEvents access', () => {
+  let stream;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getProjectForUser.mockResolvedValue(projectWith([member]));
+    findProjectById.mockResolvedValue(projectWith([member]));
+    User.findById.mockImplementation(id => ({ select: async () => ({ ...(id === 'owner' ? owner : member) }) }));
+  });
+
+  afterEach(() => {
+    stream.req.emit('close');
+  });
+
+  it('closes the stream of a member removed from the project', async () => {
+    stream = await openStream(member);
+
+    findProjectById.mockResolvedValue(projectWith([]));
+    publishProjectChange('updated', { _id: 'p1', name: 'Project' }, { changes: ['members'] });
+    publishProjectEvent('p1', 'file', { change: 'created', path: 'secret.js' });
+    await flush();
+
+    expect(stream.res.output).toContain('event: revoked');
+    expect(stream.res.output).not.toContain('secret.js');
+    expect(stream.res.ended).toBe(true);
+  });
+
+  it('keeps streaming to members who still have access', async () => {
+    stream = await openStream(member);
+
+    publishProjectChange('updated', { _id: 'p1', name: 'Project' }, { changes: ['members'] });
+    publishProjectEvent('p1', 'file', { change: 'created', path: 'App.js' });
+    await flush();
+
+    expect(stream.res.output).not.toContain('event: revoked');
+    expect(stream.res.output).toContain('App.js');
+    expect(stream.res.ended).toBe(false);
+  });
+
+  it('closes the stream once its user has logged out', async () => {
+    jest.useFakeTimers();
+    try {
+      stream = await openStream(owner);
+      User.findById.mockImplementation(() => ({ select: async () => ({ ...owner, tokenVersion: 1 }) }));
+
+      jest.advanceTimersByTime(eventConfig.heartbeatInterval);
+    } finally {
+      jest.useRealTimers();
+    }
+    await flush();
+
+    expect(stream.res.output).toContain('event: revoked');
+    expect(stream.res.ended).toBe(true);
+  });
+});
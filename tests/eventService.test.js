@@ -0,0 +1,79 @@
+jest.mock('../utils/fileHierarchy', () => ({
+  getFilePath: jest.fn()
+}));
+
+const eventConfig = require('../config/events');
+
+// A fresh module is a freshly started server
+const loadEventService = () => {
+  let eventService;
+  jest.isolateModules(() => {
+    eventService = require('../services/eventService');
+  });
+  return eventService;
+};
+
+describe('eventService resume', () => {
+  let nowSpy;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+  });
+
+  it('replays the events after the last seen id', () => {
+    const { publishProjectEvent, getEventsSince } = loadEventService();
+    const first = publishProjectEvent('p1', 'file', { change: 'created' });
+    const second = publishProjectEvent('p1', 'file', { change: 'updated' });
+    publishProjectEvent('p2', 'file', { change: 'created' });
+
+    expect(getEventsSince('p1', first.id)).toEqual({ events: [second], complete: true });
+    expect(getEventsSince('p1', second.id)).toEqual({ events: [], complete: true });
+  });
+
+  it('asks clients with an id from before a restart to reset', () => {
+    const before = loadEventService().publishProjectEvent('p1', 'file', { change: 'created' });
+
+    now += 1000;
+    const { publishProjectEvent, getEventsSince } = loadEventService();
+    // Same sequence number as the old event, still in the new buffer
+    publishProjectEvent('p1', 'file', { change: 'updated' });
+
+    expect(getEventsSince('p1', before.id)).toEqual({ events: [], complete: false });
+    expect(getEventsSince('p2', before.id)).toEqual({ events: [], complete: false });
+  });
+
+  it('asks clients to reset when events were dropped from the buffer', () => {
+    const { publishProjectEvent, getEventsSince } = loadEventService();
+    const first = publishProjectEvent('p1', 'file', {});
+    for (let i = 0; i <= eventConfig.bufferSize; i++) {
+      publishProjectEvent('p1', 'file', {});
+    }
+
+    expect(getEventsSince('p1', first.id).complete).toBe(false);
+    expect(getEventsSince('p1', 'not-an-id').complete).toBe(false);
+  });
+
+  it('evicts idle buffers and resets clients that relied on them', () => {
+    const { publishProjectEvent, getEventsSince, evictIdleBuffers } = loadEventService();
+    const seen = publishProjectEvent('p1', 'file', {});
+    publishProjectEvent('p1', 'file', {});
+
+    now += eventConfig.bufferIdleTimeout / 2;
+    const active = publishProjectEvent('p2', 'file', {});
+    now += eventConfig.bufferIdleTimeout / 2;
+    evictIdleBuffers();
+
+    expect(getEventsSince('p1', seen.id)).toEqual({ events: [], complete: false });
+    expect(getEventsSince('p2', active.id)).toEqual({ events: [], complete: true });
+
+    // A new buffer for the project does not hide what the evicted one held
+    publishProjectEvent('p1', 'file', {});
+    expect(getEventsSince('p1', seen.id).complete).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const FileMetadata = require('../models/FileMetadata');
+const { computeHierarchy, findPathCollisions } = require('../scripts/migrate-file-paths');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Mongoose queries as used by the hierarchy statics: .withTrashed().select()
+const query = (result) => {
+  const chain = {
+    withTrashed: jest.fn(() => chain),
+    select: jest.fn(() => Promise.resolve(result))
+  };
+  return chain;
+};
+
+const placementsOf = (updates) => Object.fromEntries(updates.map(({ updateOne }) => [
+  updateOne.filter._id.toString(),
+  { ancestors: updateOne.update.ancestors.map(String), path: updateOne.update.path }
+]));
+
+describe('FileMetadata.syncHierarchy', () => {
+  let bulkWrite;
+
+  beforeEach(() => {
+    bulkWrite = jest.spyOn(FileMetadata, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rewrites the ancestors and path of a moved folder and everything below it', async () => {
+    const lib = { _id: id(), ancestors: [], path: 'lib' };
+    const components = { _id: id(), name: 'components', type: 'folder', parentId: lib._id };
+    const ui = { _id: id(), name: 'ui', parentId: components._id };
+    const button = { _id: id(), name: 'Button.js', parentId: ui._id };
+    const index = { _id: id(), name: 'index.js', parentId: components._id };
+
+    jest.spyOn(FileMetadata, 'findById').mockReturnValue(query(lib));
+    // Children listed before their parents still get the new paths
+    const descendants = query([button, index, ui]);
+    const find = jest.spyOn(FileMetadata, 'find').mockReturnValue(descendants);
+
+    const synced = await FileMetadata.syncHierarchy(components);
+
+    expect(find).toHaveBeenCalledWith({ ancestors: components._id });
+    expect(descendants.withTrashed).toHaveBeenCalled();
+    expect(placementsOf(bulkWrite.mock.calls[0][0])).toEqual({
+      [components._id]: { ancestors: [String(lib._id)], path: 'lib/components' },
+      [ui._id]: { ancestors: [String(lib._id), String(components._id)], path: 'lib/components/ui' },
+      [button._id]: { ancestors: [String(lib._id), String(components._id), String(ui._id)], path: 'lib/components/ui/Button.js' },
+      [index._id]: { ancestors: [String(lib._id), String(components._id)], path: 'lib/components/index.js' }
+    });
+    expect(synced.path).toBe('lib/components');
+  });
+
+  it('only updates the item itself for a renamed file', async () => {
+    const src = { _id: id(), ancestors: [], path: 'src' };
+    const file = { _id: id(), name: 'Main.js', type: 'file', parentId: src._id };
+
+    jest.spyOn(FileMetadata, 'findById').mockReturnValue(query(src));
+    const find = jest.spyOn(FileMetadata, 'find');
+
+    await FileMetadata.syncHierarchy(file);
+
+    expect(find).not.toHaveBeenCalled();
+    expect(placementsOf(bulkWrite.mock.calls[0][0])).toEqual({
+      [file._id]: { ancestors: [String(src._id)], path: 'src/Main.js' }
+    });
+  });
+
+  it('places items whose parent no longer exists at the root', async () => {
+    const folder = { _id: id(), name: 'assets', type: 'folder', parentId: id() };
+
+    jest.spyOn(FileMetadata, 'findById').mockReturnValue(query(null));
+    jest.spyOn(FileMetadata, 'find').mockReturnValue(query([]));
+
+    const synced = await FileMetadata.syncHierarchy(folder);
+
+    expect(synced.ancestors).toEqual([]);
+    expect(synced.path).toBe('assets');
+  });
+
+  it('skips descendants whose parent is outside the subtree', async () => {
+    const folder = { _id: id(), name: 'src', type: 'folder', parentId: null };
+    const stray = { _id: id(), name: 'stray.js', parentId: id() };
+
+    jest.spyOn(FileMetadata, 'find').mockReturnValue(query([stray]));
+
+    await FileMetadata.syncHierarchy(folder);
+
+    expect(Object.keys(placementsOf(bulkWrite.mock.calls[0][0]))).toEqual([String(folder._id)]);
+  });
+});
+
+describe('migrate-file-paths computeHierarchy', () => {
+  it('computes ancestors and path from parent links', () => {
+    const src = { _id: id(), name: 'src', parentId: null };
+    const app = { _id: id(), name: 'App.js', parentId: src._id };
+    const components = { _id: id(), name: 'components', parentId: src._id };
+    const button = { _id: id(), name: 'Button.js', parentId: components._id };
+
+    const placed = computeHierarchy([button, app, components, src]);
+
+    expect(placed.get(String(src._id))).toEqual({ ancestors: [], path: 'src' });
+    expect(placed.get(String(app._id))).toEqual({ ancestors: [src._id], path: 'src/App.js' });
+    expect(placed.get(String(button._id))).toEqual({
+      ancestors: [src._id, components._id],
+      path: 'src/components/Button.js'
+    });
+  });
+
+  it('treats orphans as root-level entries', () => {
+    const orphan = { _id: id(), name: 'orphan.js', parentId: id() };
+
+    expect(computeHierarchy([orphan]).get(String(orphan._id))).toEqual({ ancestors: [], path: 'orphan.js' });
+  });
+
+  it('terminates on parent cycles', () => {
+    const a = { _id: id(), name: 'a', parentId: null };
+    const b = { _id: id(), name: 'b', parentId: a._id };
+    a.parentId = b._id;
+
+    const placed = computeHierarchy([a, b]);
+
+    expect(placed.size).toBe(2);
+    expect(placed.get(String(b._id)).path).toBe('b');
+    expect(placed.get(String(a._id))).toEqual({ ancestors: [b._id], path: 'b/a' });
+  });
+
+  it('reports names containing separators and paths shared by several items', () => {
+    const src = { _id: id(), name: 'src', parentId: null };
+    const app = { _id: id(), name: 'App.js', parentId: src._id };
+    const shadow = { _id: id(), name: 'src/App.js', parentId: null };
+    const slashed = { _id: id(), name: 'a\\b.js', parentId: null };
+    const files = [src, app, shadow, slashed];
+
+    expect(findPathCollisions(files, computeHierarchy(files))).toEqual([
+      { path: 'src/App.js', fileIds: [String(app._id), String(shadow._id)] },
+      { path: 'a\\b.js', fileIds: [String(slashed._id)] }
+    ]);
+  });
+});
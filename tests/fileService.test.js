@@ -0,0 +1,144 @@
+// In-memory FileMetadata document and storage, for the queries the save path uses
+let mockFile;
+let mockStorage;
+let mockBeforeSwitch;
+
+jest.mock('../models/FileMetadata', () => {
+  const query = (result) => Object.assign(Promise.resolve(result), { select: () => Promise.resolve(result) });
+  const versionMatches = (condition) => (condition && condition.$in
+    ? condition.$in.includes(mockFile.version ?? null)
+    : mockFile.version === condition);
+
+  return {
+    findById: jest.fn(() => query(mockFile && { ...mockFile })),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      mockBeforeSwitch();
+      if (!versionMatches(filter.version)) {
+        return query(null);
+      }
+      Object.assign(mockFile, update.$set);
+      return query({ ...mockFile });
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      if (!versionMatches(filter.version)) {
+        return { modifiedCount: 0 };
+      }
+      Object.assign(mockFile, update.$set);
+      return { modifiedCount: 1 };
+    })
+  };
+});
+jest.mock('../services/storageService', () => ({
+  generateS3Key: jest.fn((projectId, contentId) => `projects/${projectId}/files/${contentId}`),
+  getFile: jest.fn(async key => mockStorage.get(key) ?? ''),
+  uploadFile: jest.fn(async (key, content) => { mockStorage.set(key, content); }),
+  deleteFile: jest.fn(async key => { mockStorage.delete(key); })
+}));
+jest.mock('../services/revisionService', () => ({
+  ...jest.requireActual('../services/revisionService'),
+  recordRevision: jest.fn(async file => ({ _id: `revision-${file.version}`, revision: file.version })),
+  discardRevision: jest.fn()
+}));
+jest.mock('../services/searchService', () => ({
+  indexFileContent: jest.fn()
+}));
+jest.mock('../utils/database', () => ({
+  handleDatabaseOperation: operation => operation()
+}));
+
+const { hashContent, recordRevision } = require('../services/revisionService');
+const { saveFileContent } = require('../services/fileService');
+
+/**
+ * Another save landing between this save's read and its switch
+ */
+const concurrentSave = (content) => {
+  const key = `projects/p1/files/concurrent-${content}`;
+  mockStorage.delete(mockFile.s3Key);
+  mockStorage.set(key, content);
+  Object.assign(mockFile, {
+    s3Key: key,
+    version: mockFile.version + 1,
+    size: content.length,
+    contentHash: hashContent(content)
+  });
+};
+
+const storedContent = () => mockStorage.get(mockFile.s3Key);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockFile = {
+    _id: 'app',
+    projectId: 'p1',
+    name: 'App.js',
+    type: 'file',
+    mimeType: 'text/javascript',
+    s3Key: 'projects/p1/files/original',
+    version: 2,
+    size: 8,
+    contentHash: hashContent('original')
+  };
+  mockStorage = new Map([[mockFile.s3Key, 'original']]);
+  mockBeforeSwitch = () => {};
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('saveFileContent', () => {
+  it('switches the storage key and metadata together and removes the previous content', async () => {
+    const { file, revision } = await saveFileContent({ ...mockFile }, 'saved');
+
+    expect(file).toMatchObject({ version: 3, contentHash: hashContent('saved') });
+    expect(file.s3Key).not.toBe('projects/p1/files/original');
+    expect(storedContent()).toBe('saved');
+    expect(mockStorage.has('projects/p1/files/original')).toBe(false);
+    expect(revision).toMatchObject({ revision: 3 });
+  });
+
+  it('keeps content and metadata in step when another save lands in between', async () => {
+    let interleaved = false;
+    mockBeforeSwitch = () => {
+      if (!interleaved) {
+        interleaved = true;
+        concurrentSave('theirs');
+      }
+    };
+
+    const { file } = await saveFileContent({ ...mockFile }, 'mine');
+
+    // Ours is applied on top of theirs, and whatever is stored matches the metadata
+    expect(file.version).toBe(4);
+    expect(mockFile.contentHash).toBe(hashContent(storedContent()));
+    expect(storedContent()).toBe('mine');
+    expect(mockStorage.size).toBe(1);
+    expect(recordRevision).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a save from an outdated version and discards its content', async () => {
+    mockBeforeSwitch = () => concurrentSave('theirs');
+
+    await expect(saveFileContent({ ...mockFile }, 'mine', { expectedVersion: 2 })).rejects.toMatchObject({
+      statusCode: 412,
+      code: 'VERSION_CONFLICT',
+      current: { version: 3, content: 'theirs' }
+    });
+    expect(storedContent()).toBe('theirs');
+    expect(mockStorage.size).toBe(1);
+  });
+
+  it('switches back to the previous content when the revision cannot be recorded', async () => {
+    recordRevision.mockRejectedValueOnce(new Error('storage unavailable'));
+
+    await expect(saveFileContent({ ...mockFile }, 'saved')).rejects.toMatchObject({
+      statusCode: 502,
+      code: 'STORAGE_UPLOAD_FAILED'
+    });
+    expect(mockFile).toMatchObject({ s3Key: 'projects/p1/files/original', version: 2 });
+    expect([...mockStorage.keys()]).toEqual(['projects/p1/files/original']);
+  });
+});
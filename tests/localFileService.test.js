@@ -0,0 +1,49 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+process.env.LOCAL_STORAGE_PATH = rootDir;
+
+const localFileService = require('../services/localFileService');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+describe('localFileService keys', () => {
+  it('stores and reads content under the storage root', async () => {
+    await localFileService.uploadFile('projects/p1/files/1111', 'content');
+
+    expect(await localFileService.getFile('projects/p1/files/1111')).toBe('content');
+    expect(fs.existsSync(path.join(rootDir, 'projects', 'p1', 'files', '1111'))).toBe(true);
+  });
+
+  it.each([
+    'projects/attacker/files/1111/../../../victim/files/2222/App.js',
+    'projects/p1/files/./1111',
+    'projects/p1//files/1111',
+    'projects\\p1\\..\\p2\\files\\1111',
+    '../outside'
+  ])('rejects the key %s', async (key) => {
+    await expect(localFileService.uploadFile(key, 'evil')).rejects.toThrow();
+    await expect(localFileService.getFile(key)).rejects.toThrow();
+  });
+
+  it('does not write into another key through parent segments', async () => {
+    await localFileService.uploadFile('projects/victim/files/2222', 'original');
+
+    await expect(localFileService.uploadFile('projects/attacker/files/1111/../../../victim/files/2222', 'evil'))
+      .rejects.toThrow();
+    expect(await localFileService.getFile('projects/victim/files/2222')).toBe('original');
+  });
+});
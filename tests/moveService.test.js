@@ -0,0 +1,130 @@
+// In-memory FileMetadata with the queries the move path uses
+let mockFiles = [];
+
+jest.mock('../models/FileMetadata', () => {
+  const matches = (file, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (condition && condition.$ne !== undefined) {
+      return String(file[key]) !== String(condition.$ne);
+    }
+    if (key === 'ancestors') {
+      return file.ancestors.some(id => String(id) === String(condition));
+    }
+    return String(file[key] ?? null) === String(condition ?? null);
+  });
+  const query = (result) => Object.assign(Promise.resolve(result), { select: () => Promise.resolve(result) });
+
+  return {
+    findById: jest.fn(id => query(mockFiles.find(file => file._id === String(id)) || null)),
+    findOne: jest.fn(filter => query(mockFiles.find(file => matches(file, filter)) || null)),
+    exists: jest.fn(async filter => (mockFiles.some(file => matches(file, filter)) ? { _id: 'found' } : null)),
+    findByIdAndUpdate: jest.fn((id, update) => query({ ...mockFiles.find(file => file._id === String(id)), ...update })),
+    syncHierarchy: jest.fn(async file => file)
+  };
+});
+jest.mock('../services/trashService', () => ({
+  trashFileTree: jest.fn(async () => ({ trashedFiles: 1 }))
+}));
+jest.mock('../utils/database', () => ({
+  handleDatabaseOperation: operation => operation()
+}));
+
+const FileMetadata = require('../models/FileMetadata');
+const { trashFileTree } = require('../services/trashService');
+const { moveFileTree } = require('../services/moveService');
+
+const file = (_id, name, type, parentId = null, projectId = 'p1') => {
+  const parent = mockFiles.find(item => item._id === parentId);
+  return {
+    _id,
+    projectId,
+    name,
+    type,
+    parentId,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    path: parent ? `${parent.path}/${name}` : name
+  };
+};
+
+const byId = id => mockFiles.find(item => item._id === id);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockFiles = [];
+  [
+    ['src', 'src', 'folder'],
+    ['components', 'components', 'folder', 'src'],
+    ['button', 'Button.js', 'file', 'components'],
+    ['app', 'App.js', 'file', 'src'],
+    ['lib', 'lib', 'folder'],
+    ['other', 'other', 'folder', null, 'p2']
+  ].forEach(args => mockFiles.push(file(...args)));
+});
+
+describe('moveFileTree cycle detection', () => {
+  it('rejects moving a folder into itself', async () => {
+    await expect(moveFileTree(byId('src'), { parentId: 'src' })).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_MOVE'
+    });
+    expect(FileMetadata.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects moving a folder into one of its descendants', async () => {
+    await expect(moveFileTree(byId('src'), { parentId: 'components' })).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_MOVE'
+    });
+    expect(FileMetadata.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects overwriting a folder that contains the item being moved', async () => {
+    await expect(moveFileTree(byId('components'), { parentId: null, name: 'src', onConflict: 'overwrite' }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'FILE_EXISTS' });
+    expect(trashFileTree).not.toHaveBeenCalled();
+    expect(FileMetadata.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('moves a folder into a folder outside its own subtree', async () => {
+    const result = await moveFileTree(byId('components'), { parentId: 'lib' });
+
+    expect(result).toMatchObject({ moved: true, previousPath: 'src/components' });
+    expect(FileMetadata.findByIdAndUpdate).toHaveBeenCalledWith(
+      'components',
+      { name: 'components', parentId: 'lib' },
+      expect.anything()
+    );
+    expect(FileMetadata.syncHierarchy).toHaveBeenCalled();
+  });
+});
+
+describe('moveFileTree destination checks', () => {
+  it('requires the new parent to be a folder', async () => {
+    await expect(moveFileTree(byId('button'), { parentId: 'app' })).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_PARENT'
+    });
+  });
+
+  it('does not move items between projects', async () => {
+    await expect(moveFileTree(byId('app'), { parentId: 'other' })).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'CROSS_PROJECT_MOVE'
+    });
+  });
+
+  it('applies the conflict policy when the name is taken', async () => {
+    mockFiles.push(file('app-lib', 'App.js', 'file', 'lib'));
+
+    await expect(moveFileTree(byId('app'), { parentId: 'lib' })).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'FILE_EXISTS'
+    });
+
+    const renamed = await moveFileTree(byId('app'), { parentId: 'lib', onConflict: 'rename' });
+    expect(renamed.file.name).toBe('App (1).js');
+
+    const replaced = await moveFileTree(byId('app'), { parentId: 'lib', onConflict: 'overwrite' });
+    expect(trashFileTree).toHaveBeenCalledWith(byId('app-lib'), null);
+    expect(replaced.replaced).toMatchObject({ path: 'lib/App.js', trashedFiles: 1 });
+  });
+});
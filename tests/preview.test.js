@@ -0,0 +1,117 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../utils/projectAccess', () => ({
+  getProjectForUser: jest.fn()
+}));
+jest.mock('../utils/fileHierarchy', () => ({
+  ...jest.requireActual('../utils/fileHierarchy'),
+  resolveFilePath: jest.fn()
+}));
+jest.mock('../services/storageService', () => ({
+  getFile: jest.fn()
+}));
+jest.mock('../services/previewService', () => ({
+  renderPreviewFile: jest.fn(),
+  renderCompileErrorModule: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const { getProjectForUser } = require('../utils/projectAccess');
+const { resolveFilePath } = require('../utils/fileHierarchy');
+const storageService = require('../services/storageService');
+const { renderPreviewFile } = require('../services/previewService');
+const { generateAccessToken, generatePreviewToken } = require('../utils/tokens');
+const errorHandler = require('../middleware/errorHandler');
+
+const projectA = { _id: '64b000000000000000000001' };
+const projectB = { _id: '64b000000000000000000002' };
+const user = { _id: '64b0000000000000000000aa', email: 'dev@example.com', tokenVersion: 0 };
+
+const app = express();
+app.use('/preview', require('../routes/preview'));
+app.use(errorHandler);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  User.findById.mockResolvedValue(user);
+  getProjectForUser.mockImplementation(async (projectId) => (projectId === projectA._id ? projectA : projectB));
+  resolveFilePath.mockResolvedValue({ _id: 'index', name: 'index.html', type: 'file', s3Key: 'key-index', version: 1 });
+  storageService.getFile.mockResolvedValue('<html></html>');
+  renderPreviewFile.mockImplementation(async (project, file, content, { baseUrl }) => ({
+    body: `<script type="module" src="${baseUrl}/src/index.js"></script>`,
+    contentType: 'text/html'
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('preview sessions', () => {
+  it('exchanges the access token for a preview token in the path, without cookies', async () => {
+    const response = await request(app)
+      .get(`/preview/${projectA._id}/src/App.css?access_token=${generateAccessToken(user)}&theme=dark`);
+
+    expect(response.status).toBe(302);
+    expect(response.headers['set-cookie']).toBeUndefined();
+    const [, previewToken, rest] = response.headers.location.match(/^\/preview\/\w+\/~([^/]+)\/(.*)$/);
+    expect(rest).toBe('src/App.css?theme=dark');
+    expect(response.headers.location).not.toContain('access_token');
+
+    const page = await request(app).get(`/preview/${projectA._id}/~${previewToken}/`);
+    expect(page.status).toBe(200);
+  });
+
+  it('requires an access token to start a session', async () => {
+    const response = await request(app).get(`/preview/${projectA._id}/`);
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('preview files', () => {
+  it('serve with an opaque origin and build URLs under the token path', async () => {
+    const base = `/preview/${projectA._id}/~${generatePreviewToken(user, projectA._id)}`;
+
+    const response = await request(app).get(`${base}/`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-security-policy']).toMatch(/^sandbox allow-scripts/);
+    expect(response.headers['content-security-policy']).not.toContain('allow-same-origin');
+    expect(response.headers['access-control-allow-origin']).toBe('*');
+    expect(response.headers['access-control-allow-credentials']).toBeUndefined();
+    expect(response.headers['referrer-policy']).toBe('no-referrer');
+    expect(response.text).toContain(`src="${base}/src/index.js"`);
+  });
+
+  it('do not open another project with a preview token', async () => {
+    const token = generatePreviewToken(user, projectA._id);
+
+    const response = await request(app).get(`/preview/${projectB._id}/~${token}/`);
+
+    expect(response.status).toBe(401);
+    expect(getProjectForUser).not.toHaveBeenCalled();
+  });
+
+  it('do not accept access tokens in the path', async () => {
+    const response = await request(app).get(`/preview/${projectA._id}/~${generateAccessToken(user)}/`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('reject preview tokens issued before logout', async () => {
+    const token = generatePreviewToken(user, projectA._id);
+    User.findById.mockResolvedValue({ ...user, tokenVersion: 1 });
+
+    const response = await request(app).get(`/preview/${projectA._id}/~${token}/`);
+
+    expect(response.status).toBe(401);
+  });
+});
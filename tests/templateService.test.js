@@ -0,0 +1,40 @@
+jest.mock('../services/fileService', () => ({}));
+
+const esbuild = require('esbuild');
+const { renderTemplate } = require('../services/templateService');
+
+const contentOf = (files, filePath) => files.find(file => file.path === filePath).content;
+
+const variables = {
+  projectName: 'My {app} <b> & "co"',
+  projectSlug: 'my-app',
+  projectDescription: 'Line one\nwith "quotes"'
+};
+
+describe('renderTemplate', () => {
+  it('escapes names for JSX text so the generated app still compiles', async () => {
+    const files = await renderTemplate('react', variables);
+    const app = contentOf(files, 'src/App.js');
+
+    expect(app).toContain('<h1>My &#123;app&#125; &lt;b&gt; &amp; "co"</h1>');
+    await expect(esbuild.transform(app, { loader: 'jsx', jsx: 'automatic' })).resolves.toBeDefined();
+  });
+
+  it('escapes names for HTML', async () => {
+    const files = await renderTemplate('vanilla', variables);
+
+    expect(contentOf(files, 'index.html')).toContain('<title>My {app} &lt;b&gt; &amp; &quot;co&quot;</title>');
+  });
+
+  it('escapes values inside JSON strings', async () => {
+    const files = await renderTemplate('react', { ...variables, projectSlug: 'quote"slug' });
+
+    expect(JSON.parse(contentOf(files, 'package.json')).name).toBe('quote"slug');
+  });
+
+  it.each(['react', 'react-ts', 'react-vite', 'vanilla'])('substitutes every placeholder in %s', async (templateId) => {
+    const files = await renderTemplate(templateId, variables);
+
+    files.forEach(file => expect(file.content).not.toMatch(/\{\{\s*project[A-Z]\w*\s*\}\}/));
+  });
+});
@@ -0,0 +1,18 @@
+const { fileSchemas } = require('../utils/validation');
+
+const projectId = '64b000000000000000000001';
+
+describe('file name validation', () => {
+  it.each(['src/App.js', 'src\\App.js', '.', '..'])('rejects %p as a name', (name) => {
+    expect(fileSchemas.create.validate({ projectId, name, type: 'file' }).error).toBeDefined();
+    expect(fileSchemas.update.validate({ name }).error).toBeDefined();
+    expect(fileSchemas.move.validate({ parentId: null, name }).error).toBeDefined();
+    expect(fileSchemas.copy.validate({ parentId: null, name }).error).toBeDefined();
+    expect(fileSchemas.batch.validate({ operations: [{ op: 'rename', id: projectId, name }] }).error).toBeDefined();
+  });
+
+  it.each(['App.js', '..notes.md', '.env', 'My Component (1).jsx'])('accepts %p as a name', (name) => {
+    expect(fileSchemas.create.validate({ projectId, name, type: 'file' }).error).toBeUndefined();
+    expect(fileSchemas.move.validate({ parentId: null, name }).error).toBeUndefined();
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * ETags for file content, based on the file's content version
+ */
+
+/**
+ * Format a file's ETag header value
+ */
+const formatETag = (file) => {
+  return `"${file.version || 0}"`;
+};
+
+/**
+ * Parse an If-Match header into the list of accepted versions
+ * Returns null when there is no precondition (missing header or "*").
+ */
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"|"$/g, ''))
+    .filter(tag => /^\d+$/.test(tag))
+    .map(Number);
+};
+
+module.exports = {
+  formatETag,
+  parseIfMatch
+};
@@ -1,9 +1,11 @@
+const mongoose = require('mongoose');
 const FileMetadata = require('../models/FileMetadata');
 
 /**
  * Build hierarchical tree from flat file array
+ * The tree starts at the children of rootParentId (the project root by default).
  */
-const buildFileTree = (files) => {
+const buildFileTree = (files, rootParentId = null) => {
   if (!files || files.length === 0) {
     return [];
   }
@@ -11,6 +13,7 @@ const buildFileTree = (files) => {
   // Create a map for quick lookup
   const fileMap = new Map();
   const rootFiles = [];
+  const rootId = rootParentId ? rootParentId.toString() : null;
 
   // First pass: create map and identify root files
   files.forEach(file => {
@@ -19,7 +22,7 @@ const buildFileTree = (files) => {
       children: []
     });
 
-    if (!file.parentId) {
+    if ((file.parentId ? file.parentId.toString() : null) === rootId) {
       rootFiles.push(file._id.toString());
     }
   });
@@ -68,35 +71,51 @@ const buildFileTree = (files) => {
   return rootNodes;
 };
 
+/**
+ * Build a 4xx error for an invalid hierarchy operation
+ */
+const hierarchyError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
 /**
  * Validate file hierarchy operations
+ * Checks that the new parent is a folder of the same project and that a folder
+ * is not moved into itself or one of its descendants.
  */
 const validateHierarchyOperation = async (fileId, newParentId, projectId) => {
   // Cannot move a folder into itself or its descendants
   if (newParentId) {
     const file = await FileMetadata.findById(fileId);
     if (!file) {
-      throw new Error('File not found');
+      throw hierarchyError(404, 'FILE_NOT_FOUND', 'File not found');
+    }
+
+    // Verify new parent exists and is a folder of the same project
+    const newParent = await FileMetadata.findById(newParentId);
+    if (!newParent) {
+      throw hierarchyError(404, 'PARENT_NOT_FOUND', 'New parent folder not found');
+    }
+
+    if (newParent.projectId.toString() !== projectId.toString()) {
+      throw hierarchyError(400, 'CROSS_PROJECT_MOVE', 'Cannot move files between projects');
+    }
+
+    if (newParent.type !== 'folder') {
+      throw hierarchyError(400, 'INVALID_PARENT', 'New parent must be a folder');
     }
 
     if (file.type === 'folder') {
-      // Check if newParentId is a descendant of fileId
-      const isDescendant = await isFileDescendant(newParentId, fileId);
+      // Check if newParentId is the folder itself or one of its descendants
+      const isDescendant = newParentId.toString() === fileId.toString() ||
+        await isFileDescendant(newParentId, fileId);
       if (isDescendant) {
-        throw new Error('Cannot move folder into its own descendant');
+        throw hierarchyError(400, 'INVALID_MOVE', 'Cannot move folder into itself or its own descendant');
       }
     }
-
-    // Verify new parent exists and is a folder
-    const newParent = await FileMetadata.findOne({
-      _id: newParentId,
-      projectId,
-      type: 'folder'
-    });
-    
-    if (!newParent) {
-      throw new Error('New parent folder not found');
-    }
   }
 
   return true;
@@ -106,68 +125,122 @@ const validateHierarchyOperation = async (fileId, newParentId, projectId) => {
  * Check if a file is a descendant of another file
  */
 const isFileDescendant = async (fileId, ancestorId) => {
-  const file = await FileMetadata.findById(fileId);
-  if (!file || !file.parentId) {
-    return false;
-  }
-
-  if (file.parentId.toString() === ancestorId.toString()) {
-    return true;
-  }
-
-  return await isFileDescendant(file.parentId, ancestorId);
+  return !!(await FileMetadata.exists({ _id: fileId, ancestors: ancestorId }));
 };
 
 /**
  * Get all descendants of a folder
  */
 const getAllDescendants = async (folderId) => {
-  const descendants = [];
-  
-  const getChildren = async (parentId) => {
-    const children = await FileMetadata.find({ parentId });
-    
-    for (const child of children) {
-      descendants.push(child);
-      
-      if (child.type === 'folder') {
-        await getChildren(child._id);
-      }
-    }
-  };
-  
-  await getChildren(folderId);
-  return descendants;
+  return await FileMetadata.find({ ancestors: folderId });
 };
 
 /**
  * Calculate folder size (sum of all file sizes in folder)
  */
 const calculateFolderSize = async (folderId) => {
-  const descendants = await getAllDescendants(folderId);
-  const files = descendants.filter(item => item.type === 'file');
-  
-  return files.reduce((total, file) => total + (file.size || 0), 0);
+  const [result] = await FileMetadata.aggregate([
+    { $match: { ancestors: new mongoose.Types.ObjectId(folderId), type: 'file', trashedAt: null } },
+    { $group: { _id: null, size: { $sum: '$size' } } }
+  ]);
+
+  return result ? result.size : 0;
+};
+
+/**
+ * Calculate size and file count of many folders at once
+ * Returns a map of folder ID -> { size, fileCount } covering everything below each folder.
+ */
+const calculateFolderStats = async (projectId, folderIds) => {
+  const stats = new Map(folderIds.map(folderId => [folderId.toString(), { size: 0, fileCount: 0 }]));
+  if (folderIds.length === 0) {
+    return stats;
+  }
+
+  const objectIds = folderIds.map(folderId => new mongoose.Types.ObjectId(folderId));
+  const results = await FileMetadata.aggregate([
+    { $match: { projectId: new mongoose.Types.ObjectId(projectId), type: 'file', trashedAt: null, ancestors: { $in: objectIds } } },
+    { $unwind: '$ancestors' },
+    { $match: { ancestors: { $in: objectIds } } },
+    { $group: { _id: '$ancestors', size: { $sum: '$size' }, fileCount: { $sum: 1 } } }
+  ]);
+
+  results.forEach(result => {
+    stats.set(result._id.toString(), { size: result.size, fileCount: result.fileCount });
+  });
+  return stats;
 };
 
 /**
  * Get file path from root
  */
 const getFilePath = async (fileId) => {
-  const path = [];
-  let currentFile = await FileMetadata.findById(fileId);
-  
-  while (currentFile) {
-    path.unshift(currentFile.name);
-    
-    if (currentFile.parentId) {
-      currentFile = await FileMetadata.findById(currentFile.parentId);
-    } else {
-      break;
-    }
+  const file = await FileMetadata.findById(fileId).select('path');
+  return file ? file.path : '';
+};
+
+/**
+ * Split a "src/components/App.js" style path into segments
+ * Rejects "." / ".." segments and names the model would not accept
+ */
+const parseFilePath = (rawPath = '') => {
+  const segments = rawPath.replace(/\\/g, '/').split('/').filter(segment => segment !== '');
+
+  const invalid = segments.find(segment =>
+    segment === '.' || segment === '..' || segment.length > 255 || segment.trim() !== segment
+  );
+  if (invalid !== undefined) {
+    const error = new Error(`Invalid path segment "${invalid}"`);
+    error.statusCode = 400;
+    error.code = 'INVALID_PATH';
+    throw error;
   }
-  
-  return path.join('/');
+
+  return segments;
+};
+
+/**
+ * Resolve path segments to a file or folder in a project (the reverse of getFilePath)
+ * Returns null if no file or folder has that path.
+ */
+const resolveFilePath = async (projectId, segments) => {
+  if (segments.length === 0) {
+    return null;
+  }
+
+  return await FileMetadata.findOne({ projectId, path: segments.join('/') });
+};
+
+/**
+ * Build a map of file ID -> path from root for a flat file array
+ * Resolves every path in memory from the files' parent links
+ */
+const buildPathMap = (files) => {
+  const fileMap = new Map(files.map(file => [file._id.toString(), file]));
+  const pathMap = new Map();
+
+  const resolvePath = (file, visited = new Set()) => {
+    const fileId = file._id.toString();
+    if (pathMap.has(fileId)) {
+      return pathMap.get(fileId);
+    }
+
+    const parentId = file.parentId ? file.parentId.toString() : null;
+    const parent = parentId ? fileMap.get(parentId) : null;
+
+    // Orphans (missing parent) and cycles are treated as root-level entries
+    let path = file.name;
+    if (parent && !visited.has(parentId)) {
+      visited.add(fileId);
+      path = `${resolvePath(parent, visited)}/${file.name}`;
+    }
+
+    pathMap.set(fileId, path);
+    return path;
+  };
+
+  files.forEach(file => resolvePath(file));
+  return pathMap;
 };
 
 /**
@@ -214,7 +287,11 @@ module.exports = {
   isFileDescendant,
   getAllDescendants,
   calculateFolderSize,
+  calculateFolderStats,
   getFilePath,
+  parseFilePath,
+  resolveFilePath,
+  buildPathMap,
   checkNamingConflict,
   generateUniqueName
 };
\ No newline at end of file
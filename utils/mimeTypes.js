@@ -0,0 +1,26 @@
+/**
+ * Determine MIME type from file name
+ */
+const getMimeType = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const mimeTypes = {
+    'js': 'application/javascript',
+    'jsx': 'application/javascript',
+    'ts': 'application/typescript',
+    'tsx': 'application/typescript',
+    'css': 'text/css',
+    'html': 'text/html',
+    'htm': 'text/html',
+    'json': 'application/json',
+    'md': 'text/markdown',
+    'txt': 'text/plain',
+    'xml': 'application/xml',
+    'svg': 'image/svg+xml'
+  };
+
+  return mimeTypes[extension] || 'text/plain';
+};
+
+module.exports = {
+  getMimeType
+};
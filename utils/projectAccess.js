@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const FileMetadata = require('../models/FileMetadata');
+const { handleDatabaseOperation } = require('./database');
+
+/**
+ * Find a project by ID, accepting both ObjectId and legacy string IDs
+ */
+const findProjectById = async (projectId) => {
+  return await handleDatabaseOperation(async () => {
+    let project = null;
+
+    try {
+      // Method 1: Try as ObjectId if it's valid format
+      if (mongoose.Types.ObjectId.isValid(projectId) && String(projectId).length === 24) {
+        project = await Project.findById(projectId);
+      }
+
+      // Method 2: If not found, try as string in _id field
+      if (!project) {
+        project = await Project.findOne({ _id: projectId });
+      }
+
+    } catch (castError) {
+      // If casting fails, try finding by string
+      project = await Project.findOne({ _id: projectId });
+    }
+
+    return project;
+  }, 'Failed to find project');
+};
+
+// Each role includes the permissions of the roles below it
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+/**
+ * Check whether a user created (and therefore owns) a project
+ */
+const isProjectOwner = (project, user) => {
+  return !!user && String(project.userId) === String(user._id);
+};
+
+/**
+ * Get a user's role on a project, or null when they have no access
+ */
+const getProjectRole = (project, user) => {
+  if (!user) {
+    return null;
+  }
+
+  if (isProjectOwner(project, user)) {
+    return 'owner';
+  }
+
+  const member = (project.members || []).find(m =>
+    String(m.userId) === String(user._id) && m.status === 'active'
+  );
+
+  return member ? member.role : null;
+};
+
+/**
+ * Check whether a role satisfies a required role
+ */
+const hasRole = (role, requiredRole) => {
+  return !!role && ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+};
+
+/**
+ * Build the 403 error used by every access check
+ */
+const accessDeniedError = (message = 'You do not have access to this project') => {
+  const error = new Error(message);
+  error.statusCode = 403;
+  error.code = 'ACCESS_DENIED';
+  return error;
+};
+
+/**
+ * Load a project and verify the caller has at least the required role
+ */
+const getProjectForUser = async (projectId, user, requiredRole = 'owner') => {
+  const project = await findProjectById(projectId);
+
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    error.code = 'PROJECT_NOT_FOUND';
+    throw error;
+  }
+
+  const role = getProjectRole(project, user);
+
+  if (!role) {
+    throw accessDeniedError();
+  }
+
+  if (!hasRole(role, requiredRole)) {
+    throw accessDeniedError(`This action requires the ${requiredRole} role on the project`);
+  }
+
+  return project;
+};
+
+/**
+ * Load a file and verify the caller has at least the required role on its project
+ */
+const getFileForUser = async (fileId, user, requiredRole = 'owner') => {
+  const file = await handleDatabaseOperation(async () => {
+    return await FileMetadata.findById(fileId);
+  }, 'Failed to find file');
+
+  if (!file) {
+    const error = new Error('File not found');
+    error.statusCode = 404;
+    error.code = 'FILE_NOT_FOUND';
+    throw error;
+  }
+
+  const project = await findProjectById(file.projectId);
+  const role = project ? getProjectRole(project, user) : null;
+
+  if (!role) {
+    throw accessDeniedError('You do not have access to this file');
+  }
+
+  if (!hasRole(role, requiredRole)) {
+    throw accessDeniedError(`This action requires the ${requiredRole} role on the project`);
+  }
+
+  return { file, project };
+};
+
+module.exports = {
+  ROLE_RANK,
+  findProjectById,
+  isProjectOwner,
+  getProjectRole,
+  hasRole,
+  accessDeniedError,
+  getProjectForUser,
+  getFileForUser
+};
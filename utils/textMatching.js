@@ -0,0 +1,75 @@
+/**
+ * Find every match of a pattern in a text, grouped by line
+ */
+const findLineMatches = (content, pattern, contextLines = 0) => {
+  const lines = content.split(/\r?\n/);
+  const results = [];
+
+  lines.forEach((line, index) => {
+    const ranges = [];
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      ranges.push({ column: match.index + 1, length: match[0].length });
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+      }
+    }
+
+    if (ranges.length > 0) {
+      results.push({
+        line: index + 1,
+        text: line,
+        matches: ranges,
+        before: lines.slice(Math.max(0, index - contextLines), index),
+        after: lines.slice(index + 1, index + 1 + contextLines)
+      });
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Replace every match of a pattern, line by line
+ * Literal searches insert the replacement as-is; regex searches expand $1, $<name> and $&.
+ * When `lines` is given only those line numbers are changed.
+ */
+const replaceInContent = (content, pattern, replacement, { regex = false, lines = null } = {}) => {
+  // Even indexes hold the lines, odd indexes the line breaks between them
+  const parts = content.split(/(\r?\n)/);
+  const selected = lines ? new Set(lines) : null;
+  const changes = [];
+  let replacements = 0;
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const line = i / 2 + 1;
+    if (selected && !selected.has(line)) {
+      continue;
+    }
+
+    const text = parts[i];
+    const count = (text.match(pattern) || []).length;
+    if (count === 0) {
+      continue;
+    }
+
+    const replaced = regex
+      ? text.replace(pattern, replacement)
+      : text.replace(pattern, () => replacement);
+
+    if (replaced !== text) {
+      parts[i] = replaced;
+      replacements += count;
+      changes.push({ line, text, replaced, count });
+    }
+  }
+
+  return { content: parts.join(''), changes, replacements };
+};
+
+module.exports = {
+  findLineMatches,
+  replaceInContent
+};
@@ -0,0 +1,102 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+/**
+ * Ensure a signing secret is configured
+ */
+const requireSecret = (secret) => {
+  if (!secret) {
+    const error = new Error('Authentication is not configured (JWT_SECRET missing)');
+    error.statusCode = 500;
+    error.code = 'AUTH_NOT_CONFIGURED';
+    throw error;
+  }
+  return secret;
+};
+
+/**
+ * Generate a short-lived access token for a user
+ */
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), type: 'access', version: user.tokenVersion },
+    requireSecret(authConfig.accessToken.secret),
+    { expiresIn: authConfig.accessToken.expiresIn }
+  );
+};
+
+/**
+ * Generate a long-lived refresh token for a user
+ */
+const generateRefreshToken = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), type: 'refresh', version: user.tokenVersion },
+    requireSecret(authConfig.refreshToken.secret),
+    { expiresIn: authConfig.refreshToken.expiresIn }
+  );
+};
+
+/**
+ * Generate a token that only grants its user's access to one project's live preview
+ * It is kept in a cookie that pages of the preview can send, so it must not be an access token.
+ */
+const generatePreviewToken = (user, projectId) => {
+  return jwt.sign(
+    { sub: user._id.toString(), type: 'preview', projectId: projectId.toString(), version: user.tokenVersion },
+    requireSecret(authConfig.previewToken.secret),
+    { expiresIn: authConfig.previewToken.expiresIn }
+  );
+};
+
+/**
+ * Generate an access/refresh token pair
+ */
+const generateTokenPair = (user) => {
+  return {
+    accessToken: generateAccessToken(user),
+    refreshToken: generateRefreshToken(user),
+    tokenType: 'Bearer',
+    expiresIn: authConfig.accessToken.expiresIn
+  };
+};
+
+/**
+ * Verify a token and check its type claim
+ * Throws JsonWebTokenError / TokenExpiredError for invalid tokens
+ */
+const verifyToken = (token, secret, expectedType) => {
+  const payload = jwt.verify(token, requireSecret(secret));
+
+  if (payload.type !== expectedType) {
+    throw new jwt.JsonWebTokenError(`Expected ${expectedType} token`);
+  }
+
+  return payload;
+};
+
+const verifyAccessToken = (token) => verifyToken(token, authConfig.accessToken.secret, 'access');
+
+const verifyRefreshToken = (token) => verifyToken(token, authConfig.refreshToken.secret, 'refresh');
+
+/**
+ * Verify a preview token and check that it was issued for the project
+ */
+const verifyPreviewToken = (token, projectId) => {
+  const payload = verifyToken(token, authConfig.previewToken.secret, 'preview');
+
+  if (payload.projectId !== projectId.toString()) {
+    throw new jwt.JsonWebTokenError('Token was issued for another project');
+  }
+
+  return payload;
+};
+
+module.exports = {
+  generateAccessToken,
+  generateRefreshToken,
+  generateTokenPair,
+  generatePreviewToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  verifyPreviewToken
+};
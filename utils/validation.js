@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const searchConfig = require('../config/search');
 
 // Common validation schemas
 const objectIdSchema = Joi.alternatives().try(
@@ -28,6 +29,12 @@ const userSchemas = {
   login: Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().required()
+  }),
+
+  refresh: Joi.object({
+    refreshToken: Joi.string().required().messages({
+      'any.required': 'Refresh token is required'
+    })
   })
 };
 
@@ -42,7 +49,7 @@ const projectSchemas = {
     description: Joi.string().trim().max(500).optional().messages({
       'string.max': 'Description cannot exceed 500 characters'
     }),
-    userId: userIdSchema.required()
+    template: Joi.string().trim().max(50).optional()
   }),
 
   update: Joi.object({
@@ -50,16 +57,52 @@ const projectSchemas = {
     description: Joi.string().trim().max(500).optional()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
+  }),
+
+  // Multipart fields sent alongside an imported archive
+  import: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().trim().max(500).optional()
+  }),
+
+  fork: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().trim().max(500).optional()
+  }),
+
+  // File tree query: the folder to start at and how many levels to return
+  tree: Joi.object({
+    path: Joi.string().allow('').max(4096).default(''),
+    depth: Joi.number().integer().min(1).max(100).optional()
+  })
+};
+
+// Project member validation schemas
+const memberSchemas = {
+  invite: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+    role: Joi.string().valid('viewer', 'editor', 'owner').default('editor').messages({
+      'any.only': 'Role must be one of "viewer", "editor" or "owner"'
+    })
   })
 };
 
+// File and folder names are single path segments: paths are built by joining them with "/"
+const fileNameSchema = Joi.string().trim().min(1).max(255).pattern(/^[^/\\]+$/).invalid('.', '..').messages({
+  'string.min': 'File name cannot be empty',
+  'string.max': 'File name cannot exceed 255 characters',
+  'string.pattern.base': 'File name cannot contain "/" or "\\"',
+  'any.invalid': 'File name cannot be "." or ".."'
+});
+
 // File validation schemas
 const fileSchemas = {
   create: Joi.object({
     projectId: objectIdSchema.required(),
-    name: Joi.string().trim().min(1).max(255).required().messages({
-      'string.min': 'File name cannot be empty',
-      'string.max': 'File name cannot exceed 255 characters',
+    name: fileNameSchema.required().messages({
       'any.required': 'File name is required'
     }),
     type: Joi.string().valid('file', 'folder').required().messages({
@@ -77,11 +120,176 @@ const fileSchemas = {
   }),
 
   update: Joi.object({
-    name: Joi.string().trim().min(1).max(255).optional(),
+    name: fileNameSchema.optional(),
     content: Joi.string().optional(),
     parentId: objectIdSchema.optional().allow(null)
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
+  }),
+
+  move: Joi.object({
+    parentId: objectIdSchema.allow(null).required(),
+    name: fileNameSchema.optional(),
+    onConflict: Joi.string().valid('fail', 'rename', 'overwrite').default('fail')
+  }),
+
+  copy: Joi.object({
+    parentId: objectIdSchema.allow(null).required(),
+    name: fileNameSchema.optional()
+  })
+};
+
+// Batch file operations reuse the single-file schemas; projectId comes from the URL
+// and "ref"/"parentRef" let an operation target a folder created earlier in the batch
+const MAX_BATCH_OPERATIONS = 100;
+const batchOperationTypes = ['create', 'update', 'rename', 'move', 'delete'];
+const batchRefSchema = Joi.string().trim().min(1).max(100);
+const batchOpSchema = Joi.string().valid(...batchOperationTypes);
+
+fileSchemas.batch = Joi.object({
+  operations: Joi.array().items(
+    Joi.alternatives().conditional('.op', {
+      switch: [
+        {
+          is: 'create',
+          then: fileSchemas.create
+            .fork('projectId', schema => schema.optional().strip())
+            .keys({ op: batchOpSchema, ref: batchRefSchema.optional(), parentRef: batchRefSchema.optional() })
+            .oxor('parentId', 'parentRef')
+        },
+        {
+          is: 'update',
+          then: Joi.object({
+            op: batchOpSchema,
+            id: objectIdSchema.required(),
+            content: fileSchemas.update.extract('content').allow('').required()
+          })
+        },
+        {
+          is: 'rename',
+          then: Joi.object({
+            op: batchOpSchema,
+            id: objectIdSchema.required(),
+            name: fileSchemas.update.extract('name').required()
+          })
+        },
+        {
+          is: 'move',
+          then: Joi.object({
+            op: batchOpSchema,
+            id: objectIdSchema.required(),
+            parentId: fileSchemas.update.extract('parentId'),
+            parentRef: batchRefSchema.optional()
+          }).xor('parentId', 'parentRef')
+        },
+        {
+          is: 'delete',
+          then: Joi.object({
+            op: batchOpSchema,
+            id: objectIdSchema.required()
+          })
+        }
+      ],
+      otherwise: Joi.object({
+        op: batchOpSchema.required().messages({
+          'any.only': `Operation must be one of ${batchOperationTypes.join(', ')}`
+        })
+      }).unknown(true)
+    })
+  ).min(1).max(MAX_BATCH_OPERATIONS).required().messages({
+    'array.min': 'At least one operation is required',
+    'array.max': `A batch cannot contain more than ${MAX_BATCH_OPERATIONS} operations`
+  })
+});
+
+// Path-based file API validation schemas
+const fsSchemas = {
+  write: Joi.object({
+    type: Joi.string().valid('file', 'folder').default('file').messages({
+      'any.only': 'Type must be either "file" or "folder"'
+    }),
+    content: Joi.when('type', {
+      is: 'folder',
+      then: Joi.forbidden(),
+      otherwise: Joi.string().allow('').default('')
+    }).messages({
+      'any.unknown': 'Content is not allowed for folders'
+    })
+  })
+};
+
+// Glob filters: a list, or a single comma-separated string
+const globListSchema = Joi.alternatives().try(
+  Joi.string().max(1000),
+  Joi.array().items(Joi.string().max(200)).max(50)
+);
+
+// Project search validation schemas (query string)
+const searchSchemas = {
+  query: Joi.object({
+    q: Joi.string().min(1).max(500).required().messages({
+      'string.empty': 'Search query is required',
+      'any.required': 'Search query is required',
+      'string.max': 'Search query cannot exceed 500 characters'
+    }),
+    regex: Joi.boolean().default(false),
+    caseSensitive: Joi.boolean().default(false),
+    wholeWord: Joi.boolean().default(false),
+    include: globListSchema,
+    exclude: globListSchema,
+    context: Joi.number().integer().min(0).max(10).default(2),
+    limit: Joi.number().integer().min(1).max(searchConfig.maxResults).default(searchConfig.maxResults)
+  }),
+
+  replace: Joi.object({
+    q: Joi.string().min(1).max(500).required().messages({
+      'string.empty': 'Search query is required',
+      'any.required': 'Search query is required',
+      'string.max': 'Search query cannot exceed 500 characters'
+    }),
+    replacement: Joi.string().allow('').max(10000).required().messages({
+      'any.required': 'Replacement is required'
+    }),
+    regex: Joi.boolean().default(false),
+    caseSensitive: Joi.boolean().default(false),
+    wholeWord: Joi.boolean().default(false),
+    include: globListSchema,
+    exclude: globListSchema,
+    apply: Joi.boolean().default(false),
+    // Files (and optionally line numbers) of the preview to change, with the previewed version
+    files: Joi.when('apply', {
+      is: true,
+      then: Joi.array().items(Joi.object({
+        fileId: objectIdSchema.required(),
+        version: Joi.number().integer().min(0).required(),
+        lines: Joi.array().items(Joi.number().integer().min(1)).min(1)
+      })).min(1).max(searchConfig.maxResults).unique('fileId').required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Files to change are required when applying',
+      'any.unknown': 'Files can only be selected when applying',
+      'array.unique': 'Each file can only be selected once'
+    })
+  })
+};
+
+// Share link validation schemas
+const shareSchemas = {
+  create: Joi.object({
+    label: Joi.string().trim().max(100).messages({
+      'string.max': 'Label cannot exceed 100 characters'
+    }),
+    expiresAt: Joi.date().iso().greater('now').messages({
+      'date.greater': 'Expiry must be in the future'
+    }),
+    expiresInDays: Joi.number().integer().min(1).max(365).messages({
+      'number.min': 'Expiry must be at least 1 day',
+      'number.max': 'Expiry cannot exceed 365 days'
+    })
+  }).oxor('expiresAt', 'expiresInDays'),
+
+  list: Joi.object({
+    includeInactive: Joi.boolean().default(false)
   })
 };
 
@@ -112,6 +320,33 @@ const validate = (schema) => {
   };
 };
 
+/**
+ * Validate query string parameters against schema
+ */
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errorMessages
+        }
+      });
+    }
+
+    req.validatedQuery = value;
+    next();
+  };
+};
+
 /**
  * Validate ObjectId parameter
  */
@@ -159,8 +394,13 @@ const validateUserId = (paramName = 'userId') => {
 module.exports = {
   userSchemas,
   projectSchemas,
+  memberSchemas,
   fileSchemas,
+  fsSchemas,
+  searchSchemas,
+  shareSchemas,
   validate,
+  validateQuery,
   validateObjectId,
   validateUserId,
   objectIdSchema,